@@ -0,0 +1,160 @@
+/* ===================== Block Simulation ===================== */
+// Water and falling blocks as a cellular automaton over integer cells, no
+// three.js. Only dirty cells are looked at: a change dirties the cells around
+// it, and step() updates the cells that were dirty when it started, so water
+// spreads one cell per step. Cells outside loaded chunks are skipped and
+// looked at again when their chunk is added.
+//   falling blocks  swap with air or fluid below them
+//   sources         (fluid level 0) fill the air below them with level 1, or
+//                   spread level 1 sideways when they cannot fall
+//   flowing water   needs water above it or a side neighbour one level lower
+//                   that spreads; otherwise it weakens until it dries up
+// Water spreads sideways only over solid ground or a source, not over flowing
+// water, so a waterfall does not fan out on its way down.
+//
+// world: {
+//   getType(x, y, z)        block type, null for air, undefined if not loaded
+//   setType(x, y, z, type)  type or null; the world applies it as an edit
+// }
+import { FLUID_LEVELS, fallsBlock, fluidLevel, waterBlock } from "./blocks.js";
+
+const SIDES = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1]
+];
+
+export function createBlockSim(size, world) {
+  let dirty = new Set(); // "x,y,z"
+  const changedNow = new Set(); // cells set by the running step; they wait for the next
+
+  function markCell(x, y, z) {
+    dirty.add(`${x},${y},${z}`);
+  }
+
+  // The cell and every cell whose update reads it: its six neighbours, and
+  // the side cells above, which check what their side neighbour stands on
+  function markAround(x, y, z) {
+    markCell(x, y, z);
+    markCell(x, y + 1, z);
+    markCell(x, y - 1, z);
+    for (const [dx, dz] of SIDES) {
+      markCell(x + dx, y, z + dz);
+      markCell(x + dx, y + 1, z + dz);
+    }
+  }
+
+  function set(x, y, z, type) {
+    world.setType(x, y, z, type);
+    changedNow.add(`${x},${y},${z}`);
+    markAround(x, y, z);
+  }
+
+  // Whether water on top of `below` may spread sideways
+  function spreadsOver(below) {
+    if (below === undefined || below === null) return false;
+    const level = fluidLevel(below);
+    return level < 0 || level === 0;
+  }
+
+  // Level a flowing cell is fed at, FLUID_LEVELS + 1 if nothing feeds it
+  function fedLevel(x, y, z) {
+    if (fluidLevel(world.getType(x, y + 1, z)) >= 0) return 1;
+    let best = FLUID_LEVELS + 1;
+    for (const [dx, dz] of SIDES) {
+      const level = fluidLevel(world.getType(x + dx, y, z + dz));
+      if (level < 0 || level + 1 >= best) continue;
+      if (spreadsOver(world.getType(x + dx, y - 1, z + dz))) best = level + 1;
+    }
+    return best;
+  }
+
+  function fall(x, y, z, type) {
+    const below = world.getType(x, y - 1, z);
+    if (below !== null && fluidLevel(below) < 0) return 0;
+    set(x, y, z, below); // the air or fluid it sank into takes its place
+    set(x, y - 1, z, type);
+    return 1;
+  }
+
+  function flow(x, y, z, level) {
+    if (level > 0) {
+      const fed = fedLevel(x, y, z);
+      if (fed !== level) {
+        set(x, y, z, fed > FLUID_LEVELS ? null : waterBlock(fed));
+        return 1;
+      }
+    }
+
+    const below = world.getType(x, y - 1, z);
+    if (below === null) {
+      set(x, y - 1, z, waterBlock(1));
+      return 1;
+    }
+    if (!spreadsOver(below) || level >= FLUID_LEVELS) return 0;
+    let changes = 0;
+    for (const [dx, dz] of SIDES) {
+      if (world.getType(x + dx, y, z + dz) !== null) continue;
+      set(x + dx, y, z + dz, waterBlock(level + 1));
+      changes++;
+    }
+    return changes;
+  }
+
+  function updateCell(x, y, z) {
+    const type = world.getType(x, y, z);
+    if (!type) return 0;
+    if (fallsBlock(type)) return fall(x, y, z, type);
+    const level = fluidLevel(type);
+    return level >= 0 ? flow(x, y, z, level) : 0;
+  }
+
+  // Looks at up to `budget` of the cells that are dirty now; the rest wait
+  // for the next step. Returns how many cells changed.
+  function step(budget = Infinity) {
+    const cells = dirty;
+    dirty = new Set();
+    let changes = 0;
+    let updated = 0;
+    changedNow.clear();
+    for (const key of cells) {
+      if (changedNow.has(key)) continue; // already dirty again
+      if (updated++ >= budget) {
+        dirty.add(key);
+        continue;
+      }
+      const [x, y, z] = key.split(",").map(Number);
+      changes += updateCell(x, y, z);
+    }
+    return changes;
+  }
+
+  // active: [x, y, z] of the chunk's falling and fluid cells. Also wakes the
+  // fluid in the neighbouring chunks' facing layers, which may now flow in.
+  function addChunk(cx, cy, cz, active = []) {
+    for (const [x, y, z] of active) markCell(x, y, z);
+    const min = [cx * size, cy * size, cz * size];
+    for (let axis = 0; axis < 3; axis++) {
+      const u = (axis + 1) % 3;
+      const v = (axis + 2) % 3;
+      for (const layer of [min[axis] - 1, min[axis] + size]) {
+        const p = [0, 0, 0];
+        p[axis] = layer;
+        for (let a = 0; a < size; a++) {
+          for (let b = 0; b < size; b++) {
+            p[u] = min[u] + a;
+            p[v] = min[v] + b;
+            if (fluidLevel(world.getType(p[0], p[1], p[2])) >= 0) markCell(p[0], p[1], p[2]);
+          }
+        }
+      }
+    }
+  }
+
+  function clear() {
+    dirty.clear();
+  }
+
+  return { markAround, addChunk, step, clear, pending: () => dirty.size };
+}
@@ -0,0 +1,79 @@
+/* ===================== Block Registry ===================== */
+// Plain data, no three.js, so workers can share it.
+//   name        label shown in the hotbar
+//   tile        index into the texture atlas (ATLAS_COLUMNS tiles per row)
+//   color       base colour the atlas tile is painted from
+//   pattern     how the tile is painted: "noise", "planks", "bricks", "glass", "log", "leaves", "lamp", "water"
+//   solid       blocks movement
+//   transparent neighbouring faces stay visible through it
+//   breakTime   seconds to mine by hand
+//   light       block light it gives off, 1..15 (absent for none)
+//   falls       drops when the cell below is air or fluid (see blockSim.js)
+//   fluid       flow level: 0 for a source, up to FLUID_LEVELS as it thins out
+//   unbreakable never removed, placed or mined; terrain only (the bedrock floor)
+export const ATLAS_COLUMNS = 8;
+export const ATLAS_TILE_SIZE = 16;
+
+export const BLOCKS = {
+  green: { name: "Grass", tile: 0, color: 0x2b7a3a, pattern: "noise", solid: true, transparent: false, breakTime: 0.6 },
+  dirt: { name: "Dirt", tile: 1, color: 0x6b4a2f, pattern: "noise", solid: true, transparent: false, breakTime: 0.5 },
+  stone: { name: "Stone", tile: 2, color: 0x7a7a7a, pattern: "noise", solid: true, transparent: false, breakTime: 1.5 },
+  sand: { name: "Sand", tile: 3, color: 0xd8c98a, pattern: "noise", solid: true, transparent: false, breakTime: 0.5, falls: true },
+  brown: { name: "Planks", tile: 4, color: 0x8b5a2b, pattern: "planks", solid: true, transparent: false, breakTime: 1.0 },
+  log: { name: "Log", tile: 5, color: 0x5a3d1e, pattern: "log", solid: true, transparent: false, breakTime: 1.2 },
+  brick: { name: "Brick", tile: 6, color: 0x9c4a3a, pattern: "bricks", solid: true, transparent: false, breakTime: 2.0 },
+  cobble: { name: "Cobblestone", tile: 7, color: 0x6a6a6a, pattern: "bricks", solid: true, transparent: false, breakTime: 2.0 },
+  glass: { name: "Glass", tile: 8, color: 0xcfefff, pattern: "glass", solid: true, transparent: true, breakTime: 0.3 },
+  leaves: { name: "Leaves", tile: 9, color: 0x3f8f3a, pattern: "leaves", solid: true, transparent: true, breakTime: 0.2 },
+  lamp: { name: "Lamp", tile: 10, color: 0xffd27a, pattern: "lamp", solid: true, transparent: false, breakTime: 0.3, light: 14 },
+  gravel: { name: "Gravel", tile: 11, color: 0x8a8078, pattern: "noise", solid: true, transparent: false, breakTime: 0.6, falls: true },
+  water: { name: "Water", tile: 12, color: 0x2f64c8, pattern: "water", solid: false, transparent: true, breakTime: 0.1, fluid: 0 },
+  bedrock: { name: "Bedrock", tile: 13, color: 0x2e2e2e, pattern: "noise", solid: true, transparent: false, breakTime: Infinity, unbreakable: true }
+};
+
+// Flowing water, one type per level, all drawn like the source
+export const FLUID_LEVELS = 7;
+for (let level = 1; level <= FLUID_LEVELS; level++) {
+  BLOCKS[`water${level}`] = { ...BLOCKS.water, name: "Flowing Water", fluid: level };
+}
+
+// Stand-in for types this build does not know (e.g. from a newer world file)
+export const UNKNOWN_BLOCK = {
+  name: "Unknown",
+  tile: ATLAS_COLUMNS * ATLAS_COLUMNS - 1,
+  color: 0xff00ff,
+  pattern: "noise",
+  solid: true,
+  transparent: false,
+  breakTime: 1.0
+};
+
+export const getBlock = (type) => BLOCKS[type] ?? UNKNOWN_BLOCK;
+export const isSolidBlock = (type) => type !== undefined && getBlock(type).solid;
+export const isTransparentBlock = (type) => getBlock(type).transparent;
+export const blockLight = (type) => getBlock(type).light ?? 0;
+export const fallsBlock = (type) => !!type && !!getBlock(type).falls;
+export const isUnbreakable = (type) => !!type && !!getBlock(type).unbreakable;
+// Types players can place or name in commands
+export const isPlaceableBlock = (type) => Object.hasOwn(BLOCKS, type) && !BLOCKS[type].unbreakable;
+
+// -1 for air and anything that is not a fluid
+export const fluidLevel = (type) => (type ? getBlock(type).fluid ?? -1 : -1);
+export const waterBlock = (level) => (level === 0 ? "water" : `water${level}`);
+// The type whose look a block borrows (flowing water looks like water)
+export const displayType = (type) => (fluidLevel(type) > 0 ? "water" : type);
+
+export const DEFAULT_HOTBAR = [
+  "brown",
+  "stone",
+  "cobble",
+  "brick",
+  "dirt",
+  "green",
+  "sand",
+  "log",
+  "glass",
+  "lamp",
+  "gravel",
+  "water"
+];
@@ -0,0 +1,23 @@
+// Replays a recording headlessly and checks it ends the way it was recorded.
+// Usage: node checkReplay.mjs <recording.replay.json>
+import { readFile } from "node:fs/promises";
+import { validateRecording, verifyReplay } from "./replay.js";
+
+const file = process.argv[2];
+if (!file) {
+  console.error("Usage: node checkReplay.mjs <recording.replay.json>");
+  process.exit(2);
+}
+
+const rec = validateRecording(JSON.parse(await readFile(file, "utf8")));
+const result = verifyReplay(rec);
+console.log(`${rec.ticks.length} ticks, ${Object.keys(rec.end.chunks).length} edited chunks`);
+if (result.ok) {
+  console.log("Replay matches the recording");
+} else {
+  if (result.chunks.length) console.error(`Chunks differ: ${result.chunks.join(" ")}`);
+  if (!result.positionMatches) {
+    console.error(`Player ended at ${result.position.join(", ")}, recorded ${rec.end.position.join(", ")}`);
+  }
+  process.exit(1);
+}
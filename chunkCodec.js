@@ -0,0 +1,275 @@
+/* ===================== Binary Chunk Format ===================== */
+// Chunk (v1):
+//   u8 version, u8 chunkSize, i32 cx, i32 cy, i32 cz
+//   u8 paletteLength, then per entry: u8 byteLength + UTF-8 type name
+//   varint runCount, then per run: varint gap, varint length, u8 paletteIndex
+// Cells are numbered lx + lz * size + ly * size * size and sorted, so a run is a
+// stretch of consecutive indices sharing one type; gap counts the empty cells
+// between the end of the previous run and the start of this one.
+//
+// World file (v1):
+//   "VXWF", u16 version, u32 metaLength + JSON meta, u32 chunkCount,
+//   then per chunk: u32 byteLength + chunk bytes
+export const CHUNK_FORMAT_VERSION = 1;
+export const WORLD_FORMAT_VERSION = 1;
+const WORLD_MAGIC = "VXWF";
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/* ===== Byte writer / reader ===== */
+class ByteWriter {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+  reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.length + n, this.bytes.length * 2));
+    grown.set(this.bytes);
+    this.bytes = grown;
+    this.view = new DataView(grown.buffer);
+  }
+  u8(v) {
+    this.reserve(1);
+    this.bytes[this.length++] = v;
+  }
+  u16(v) {
+    this.reserve(2);
+    this.view.setUint16(this.length, v, true);
+    this.length += 2;
+  }
+  u32(v) {
+    this.reserve(4);
+    this.view.setUint32(this.length, v, true);
+    this.length += 4;
+  }
+  i32(v) {
+    this.reserve(4);
+    this.view.setInt32(this.length, v, true);
+    this.length += 4;
+  }
+  varint(v) {
+    do {
+      let b = v & 0x7f;
+      v >>>= 7;
+      if (v) b |= 0x80;
+      this.u8(b);
+    } while (v);
+  }
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+  need(n) {
+    if (this.offset + n > this.bytes.length) throw new Error("Unexpected end of data");
+  }
+  u8() {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+  u16() {
+    this.need(2);
+    const v = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return v;
+  }
+  u32() {
+    this.need(4);
+    const v = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return v;
+  }
+  i32() {
+    this.need(4);
+    const v = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return v;
+  }
+  varint() {
+    let v = 0;
+    for (let shift = 0; ; shift += 7) {
+      const b = this.u8();
+      v += (b & 0x7f) * 2 ** shift;
+      if (!(b & 0x80)) return v;
+    }
+  }
+  raw(n) {
+    this.need(n);
+    const out = this.bytes.subarray(this.offset, this.offset + n);
+    this.offset += n;
+    return out;
+  }
+}
+
+/* ===== Chunks ===== */
+const parseChunkKey = (key) => key.split(",").map(Number);
+
+// arr: Array<[x, y, z, type]> with cell-centre world coordinates
+export function encodeChunk(key, arr, chunkSize) {
+  const [cx, cy, cz] = parseChunkKey(key);
+  const palette = [];
+  const paletteIndex = new Map();
+  const cells = [];
+
+  for (const [x, y, z, type] of arr) {
+    const lx = Math.floor(x) - cx * chunkSize;
+    const ly = Math.floor(y) - cy * chunkSize;
+    const lz = Math.floor(z) - cz * chunkSize;
+    if (lx < 0 || ly < 0 || lz < 0 || lx >= chunkSize || ly >= chunkSize || lz >= chunkSize) {
+      throw new Error(`Block ${x},${y},${z} lies outside chunk ${key}`);
+    }
+    if (!paletteIndex.has(type)) {
+      if (palette.length === 255) throw new Error(`Chunk ${key} has too many block types`);
+      paletteIndex.set(type, palette.length);
+      palette.push(type);
+    }
+    cells.push([lx + lz * chunkSize + ly * chunkSize * chunkSize, paletteIndex.get(type)]);
+  }
+  cells.sort((a, b) => a[0] - b[0]);
+
+  // Build runs
+  const runs = [];
+  for (const [index, p] of cells) {
+    const last = runs[runs.length - 1];
+    if (last && last.start + last.length === index && last.p === p) last.length++;
+    else runs.push({ start: index, length: 1, p });
+  }
+
+  const w = new ByteWriter(32 + runs.length * 4);
+  w.u8(CHUNK_FORMAT_VERSION);
+  w.u8(chunkSize);
+  w.i32(cx);
+  w.i32(cy);
+  w.i32(cz);
+  w.u8(palette.length);
+  for (const type of palette) {
+    const bytes = textEncoder.encode(type);
+    w.u8(bytes.length);
+    w.raw(bytes);
+  }
+  w.varint(runs.length);
+  let end = 0;
+  for (const run of runs) {
+    w.varint(run.start - end);
+    w.varint(run.length);
+    w.u8(run.p);
+    end = run.start + run.length;
+  }
+  return w.finish();
+}
+
+export function decodeChunk(bytes, expectedChunkSize) {
+  const r = new ByteReader(bytes);
+  const version = r.u8();
+  if (version !== CHUNK_FORMAT_VERSION) throw new Error(`Unsupported chunk version ${version}`);
+  const size = r.u8();
+  if (expectedChunkSize !== undefined && size !== expectedChunkSize) {
+    throw new Error(`Chunk size ${size} does not match ${expectedChunkSize}`);
+  }
+  const cx = r.i32();
+  const cy = r.i32();
+  const cz = r.i32();
+
+  const palette = [];
+  const paletteLength = r.u8();
+  for (let i = 0; i < paletteLength; i++) palette.push(textDecoder.decode(r.raw(r.u8())));
+
+  const arr = [];
+  const layer = size * size;
+  const runCount = r.varint();
+  let index = 0;
+  for (let i = 0; i < runCount; i++) {
+    index += r.varint();
+    const length = r.varint();
+    const type = palette[r.u8()];
+    if (type === undefined) throw new Error("Palette index out of range");
+    if (index + length > layer * size) throw new Error("Run exceeds chunk bounds");
+    for (let j = 0; j < length; j++, index++) {
+      const lx = index % size;
+      const lz = Math.floor(index / size) % size;
+      const ly = Math.floor(index / layer);
+      arr.push([cx * size + lx + 0.5, cy * size + ly + 0.5, cz * size + lz + 0.5, type]);
+    }
+  }
+  return { key: `${cx},${cy},${cz}`, arr };
+}
+
+/* ===== World files ===== */
+// chunks: Iterable<[key, arr]>
+export function encodeWorld(meta, chunks, chunkSize) {
+  const w = new ByteWriter(1024);
+  w.raw(textEncoder.encode(WORLD_MAGIC));
+  w.u16(WORLD_FORMAT_VERSION);
+  const metaBytes = textEncoder.encode(JSON.stringify(meta));
+  w.u32(metaBytes.length);
+  w.raw(metaBytes);
+
+  const encoded = [];
+  for (const [key, arr] of chunks) encoded.push(encodeChunk(key, arr, chunkSize));
+  w.u32(encoded.length);
+  for (const bytes of encoded) {
+    w.u32(bytes.length);
+    w.raw(bytes);
+  }
+  return w.finish();
+}
+
+// Returns { meta, chunks: Map<key, arr> }
+export function decodeWorld(bytes, expectedChunkSize) {
+  const r = new ByteReader(bytes);
+  if (textDecoder.decode(r.raw(4)) !== WORLD_MAGIC) throw new Error("Not a world file");
+  const version = r.u16();
+  if (version !== WORLD_FORMAT_VERSION) throw new Error(`Unsupported world version ${version}`);
+  const meta = JSON.parse(textDecoder.decode(r.raw(r.u32())));
+
+  const chunks = new Map();
+  const count = r.u32();
+  for (let i = 0; i < count; i++) {
+    const { key, arr } = decodeChunk(r.raw(r.u32()), expectedChunkSize);
+    chunks.set(key, arr);
+  }
+  return { meta, chunks };
+}
+
+/* ===== Worker transfer ===== */
+// Typed-array form of a block array, cheap to post between threads:
+// cells holds x, y, z triples and types[i] is an index into palette
+export function packCells(arr) {
+  const cells = new Float32Array(arr.length * 3);
+  const types = new Uint8Array(arr.length);
+  const palette = [];
+  const paletteIndex = new Map();
+  arr.forEach(([x, y, z, type], i) => {
+    if (!paletteIndex.has(type)) {
+      paletteIndex.set(type, palette.length);
+      palette.push(type);
+    }
+    cells[i * 3] = x;
+    cells[i * 3 + 1] = y;
+    cells[i * 3 + 2] = z;
+    types[i] = paletteIndex.get(type);
+  });
+  return { cells, types, palette };
+}
+
+export function unpackCells({ cells, types, palette }) {
+  const arr = new Array(types.length);
+  for (let i = 0; i < types.length; i++) {
+    arr[i] = [cells[i * 3], cells[i * 3 + 1], cells[i * 3 + 2], palette[types[i]]];
+  }
+  return arr;
+}
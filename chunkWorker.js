@@ -0,0 +1,68 @@
+/* ===================== Chunk Worker ===================== */
+// Generates chunks and builds greedy geometry off the main thread.
+//
+// { kind: "chunk", key, terrain, size, cells?, types?, palette? }
+//   Uses the packed cells when given (saved or edited chunks), otherwise
+//   generates from terrain. Replies with the packed cells. Meshing waits for
+//   the main thread, which has the neighbours and the light levels.
+// { kind: "mesh", key, size, grid, palette, light }
+//   Meshes a padded grid and light grid built by the main thread. Replies
+//   with mesh data.
+// { kind: "lod", key, terrain, size, scale, cells?, types?, palette? }
+//   Downsamples the chunk (given or generated as for "chunk") and meshes it
+//   in coarse cells, in full sunlight. Replies with mesh data.
+// { kind: "impostor", key: "cx,cz", terrain, size, step }
+//   Builds the heightmap impostor of a chunk column, see lod.js.
+import { generateWorldChunk } from "./terrain.js";
+import { greedyMesh } from "./mesher.js";
+import { packCells, unpackCells } from "./chunkCodec.js";
+import { isTransparentBlock } from "./blocks.js";
+import { downsampleChunk, buildImpostor } from "./lod.js";
+
+function meshTransfers(mesh) {
+  const out = [];
+  for (const m of Object.values(mesh)) {
+    out.push(m.positions.buffer, m.normals.buffer, m.uvs.buffer, m.lights.buffer, m.indices.buffer);
+  }
+  return out;
+}
+
+self.onmessage = (e) => {
+  const job = e.data;
+
+  if (job.kind === "mesh") {
+    const mesh = greedyMesh(job.grid, job.size, job.palette, isTransparentBlock, job.light);
+    self.postMessage({ ...job, grid: null, light: null, mesh }, meshTransfers(mesh));
+    return;
+  }
+
+  if (job.kind === "lod") {
+    const [cx, cy, cz] = job.key.split(",").map(Number);
+    const arr = job.cells ? unpackCells(job) : generateWorldChunk(job.terrain, cx, cy, cz);
+    const { grid, palette } = downsampleChunk(arr, cx, cy, cz, job.size, job.scale);
+    const mesh = greedyMesh(grid, job.size / job.scale, palette, isTransparentBlock);
+    self.postMessage({ ...job, cells: null, types: null, palette: null, mesh }, meshTransfers(mesh));
+    return;
+  }
+
+  if (job.kind === "impostor") {
+    const [cx, cz] = job.key.split(",").map(Number);
+    const impostor = buildImpostor(job.terrain, cx, cz, job.size, job.step);
+    self.postMessage({ ...job, impostor }, [
+      impostor.positions.buffer,
+      impostor.colors.buffer,
+      impostor.indices.buffer
+    ]);
+    return;
+  }
+
+  let packed;
+  if (job.cells) {
+    packed = { cells: job.cells, types: job.types, palette: job.palette };
+  } else {
+    const [cx, cy, cz] = job.key.split(",").map(Number);
+    packed = packCells(generateWorldChunk(job.terrain, cx, cy, cz));
+  }
+
+  self.postMessage({ ...job, ...packed }, [packed.cells.buffer, packed.types.buffer]);
+};
@@ -0,0 +1,99 @@
+/* ===================== Console Commands ===================== */
+// The slash commands as plain data plus a parser that checks a typed line
+// against them, no DOM or three.js. game.js runs what comes out through the
+// same functions it offers scripts as window.game.
+//
+// Argument kinds:
+//   coord    a number, or ~ / ~n for the player's own coordinate (plus n);
+//            coords come in x, y, z order
+//   count    a whole number, 1 or more
+//   block    a placeable key of BLOCKS, or "air" (parsed as null) where `air` is set
+//   time     0..1 as in dayCycle.js, or a key of TIME_NAMES
+//   word     one of `values`
+//   command  a command name, with or without its slash
+// Arguments marked optional may be left off the end.
+import { isPlaceableBlock } from "./blocks.js";
+import { SUNRISE, SUNSET } from "./dayCycle.js";
+
+export const TIME_NAMES = { midnight: 0, sunrise: SUNRISE, day: 0.3, noon: 0.5, sunset: SUNSET, night: 0.85 };
+
+const xyz = (suffix = "") => ["x", "y", "z"].map((axis) => ({ name: axis + suffix, kind: "coord" }));
+
+export const COMMANDS = {
+  tp: { help: "Teleport, feet first", args: xyz() },
+  give: {
+    help: "Put blocks in the hotbar, and in the inventory in survival",
+    args: [
+      { name: "block", kind: "block" },
+      { name: "count", kind: "count", optional: true }
+    ]
+  },
+  fill: {
+    help: "Fill a box of cells, both corners included",
+    args: [...xyz("1"), ...xyz("2"), { name: "block|air", kind: "block", air: true }]
+  },
+  seed: { help: "Show the world seed", args: [] },
+  time: { help: "Show or set the time of day", args: [{ name: "0..1|noon|night|…", kind: "time", optional: true }] },
+  gamemode: {
+    help: "Switch between creative and survival (saved worlds only)",
+    args: [{ name: "creative|survival", kind: "word", values: ["creative", "survival"] }]
+  },
+  fly: {
+    help: "Noclip flight: no gravity, no collisions",
+    args: [{ name: "on|off", kind: "word", values: ["on", "off"], optional: true }]
+  },
+  export: { help: "Download the world file (saved worlds only)", args: [] },
+  help: { help: "List the commands, or show one", args: [{ name: "command", kind: "command", optional: true }] }
+};
+
+export const commandUsage = (name) =>
+  [`/${name}`, ...COMMANDS[name].args.map((a) => (a.optional ? `[${a.name}]` : `<${a.name}>`))].join(" ");
+
+function parseArg(arg, text, origin) {
+  if (arg.kind === "coord") {
+    const relative = text.startsWith("~");
+    const n = relative && text.length === 1 ? 0 : Number(relative ? text.slice(1) : text);
+    if (!Number.isFinite(n)) return undefined;
+    return relative ? origin + n : n;
+  }
+  if (arg.kind === "count") {
+    const n = Number(text);
+    return Number.isInteger(n) && n >= 1 ? n : undefined;
+  }
+  if (arg.kind === "block") {
+    if (text === "air") return arg.air ? null : undefined;
+    return isPlaceableBlock(text) ? text : undefined;
+  }
+  if (arg.kind === "time") {
+    if (Object.hasOwn(TIME_NAMES, text)) return TIME_NAMES[text];
+    const t = Number(text);
+    return text !== "" && t >= 0 && t <= 1 ? t : undefined;
+  }
+  if (arg.kind === "command") {
+    const name = text.replace(/^\//, "");
+    return Object.hasOwn(COMMANDS, name) ? name : undefined;
+  }
+  return arg.values.includes(text) ? text : undefined;
+}
+
+// line: "/tp ~ ~10 ~", slash optional. origin: [x, y, z] that ~ is relative to.
+// Returns { name, args } with one value per argument given; throws an Error
+// with a message for the player when the line does not parse.
+export function parseCommand(line, origin = [0, 0, 0]) {
+  const [first = "", ...words] = line.trim().split(/\s+/);
+  const name = first.replace(/^\//, "").toLowerCase();
+  if (!Object.hasOwn(COMMANDS, name)) throw new Error(`Unknown command /${name}, try /help`);
+
+  const { args } = COMMANDS[name];
+  const required = args.filter((a) => !a.optional).length;
+  if (words.length < required || words.length > args.length) throw new Error(`Usage: ${commandUsage(name)}`);
+
+  let axis = 0;
+  const values = words.map((text, i) => {
+    const arg = args[i];
+    const value = parseArg(arg, text, arg.kind === "coord" ? origin[axis++ % 3] : 0);
+    if (value === undefined) throw new Error(`Bad ${arg.name} "${text}". Usage: ${commandUsage(name)}`);
+    return value;
+  });
+  return { name, args: values };
+}
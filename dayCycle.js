@@ -0,0 +1,116 @@
+/* ===================== Day/Night Cycle ===================== */
+// Sky state as a function of the time of day, kept free of three.js so it is
+// plain numbers in and out. Time runs 0..1 over one day:
+//   0     midnight
+//   0.25  sunrise, sun on the +x horizon
+//   0.5   noon, sun highest
+//   0.75  sunset, sun on the -x horizon
+// Colours are 0xRRGGBB ints, blended between the keyframes in DAY_KEYFRAMES.
+
+export const SUNRISE = 0.25;
+export const SUNSET = 0.75;
+const ORBIT_TILT = 0.35; // radians the orbit leans towards +z, so noon shadows are not straight down
+const HORIZON_FADE = 0.1; // sun/moon light fades out over this much elevation (sin) near the horizon
+
+const NIGHT = {
+  sky: 0x0a1028,
+  hemiSky: 0x203060,
+  hemiGround: 0x101018,
+  hemiIntensity: 0.15,
+  sunColor: 0xff8040,
+  sunIntensity: 0,
+  moonIntensity: 0.25
+};
+const DAWN = {
+  sky: 0xf0a070,
+  hemiSky: 0xffc8a0,
+  hemiGround: 0x403028,
+  hemiIntensity: 0.4,
+  sunColor: 0xffa060,
+  sunIntensity: 0.5,
+  moonIntensity: 0.05
+};
+const DAY = {
+  sky: 0x7fbfff,
+  hemiSky: 0xb1e1ff,
+  hemiGround: 0x444444,
+  hemiIntensity: 0.6,
+  sunColor: 0xffffff,
+  sunIntensity: 1.0,
+  moonIntensity: 0
+};
+const DUSK = {
+  sky: 0xe07050,
+  hemiSky: 0xff9070,
+  hemiGround: 0x3a2a28,
+  hemiIntensity: 0.35,
+  sunColor: 0xff7040,
+  sunIntensity: 0.4,
+  moonIntensity: 0.05
+};
+
+// [time, phase name, sky state], in time order, first at 0 and last at 1
+export const DAY_KEYFRAMES = [
+  [0, "night", NIGHT],
+  [SUNRISE - 0.03, "night", NIGHT],
+  [SUNRISE, "dawn", DAWN],
+  [SUNRISE + 0.05, "day", DAY],
+  [SUNSET - 0.05, "day", DAY],
+  [SUNSET, "dusk", DUSK],
+  [SUNSET + 0.03, "night", NIGHT],
+  [1, "night", NIGHT]
+];
+
+export const wrapTime = (t) => t - Math.floor(t);
+
+function lerpColor(a, b, t) {
+  let out = 0;
+  for (let shift = 16; shift >= 0; shift -= 8) {
+    const ca = (a >> shift) & 0xff;
+    const cb = (b >> shift) & 0xff;
+    out |= Math.round(ca + (cb - ca) * t) << shift;
+  }
+  return out;
+}
+
+// Unit vector from the world towards the sun; the moon is opposite
+export function sunDirection(time) {
+  const angle = (wrapTime(time) - SUNRISE) * Math.PI * 2;
+  const up = Math.sin(angle);
+  return [Math.cos(angle), up * Math.cos(ORBIT_TILT), up * Math.sin(ORBIT_TILT)];
+}
+
+// { phase, sky, fog, hemiSky, hemiGround, hemiIntensity, sunColor,
+//   sunIntensity, moonIntensity, sunDir }
+export function skyAt(time) {
+  const t = wrapTime(time);
+  let i = 0;
+  while (i < DAY_KEYFRAMES.length - 2 && DAY_KEYFRAMES[i + 1][0] <= t) i++;
+  const [t0, name0, a] = DAY_KEYFRAMES[i];
+  const [t1, name1, b] = DAY_KEYFRAMES[i + 1];
+  const f = t1 > t0 ? (t - t0) / (t1 - t0) : 0;
+
+  const sky = lerpColor(a.sky, b.sky, f);
+  const sunDir = sunDirection(t);
+  // Never light the world from below the horizon
+  const sunUp = Math.min(1, Math.max(0, sunDir[1] / HORIZON_FADE));
+  const moonUp = Math.min(1, Math.max(0, -sunDir[1] / HORIZON_FADE));
+  return {
+    phase: f < 0.5 ? name0 : name1,
+    sky,
+    fog: sky,
+    hemiSky: lerpColor(a.hemiSky, b.hemiSky, f),
+    hemiGround: lerpColor(a.hemiGround, b.hemiGround, f),
+    hemiIntensity: a.hemiIntensity + (b.hemiIntensity - a.hemiIntensity) * f,
+    sunColor: lerpColor(a.sunColor, b.sunColor, f),
+    sunIntensity: (a.sunIntensity + (b.sunIntensity - a.sunIntensity) * f) * sunUp,
+    moonIntensity: (a.moonIntensity + (b.moonIntensity - a.moonIntensity) * f) * moonUp,
+    sunDir
+  };
+}
+
+// 0.5 -> "12:00"
+export function clockTime(time) {
+  const minutes = Math.floor(wrapTime(time) * 24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
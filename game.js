@@ -1,12 +1,96 @@
 import * as THREE from "three";
 import { PointerLockControls } from "three/examples/jsm/controls/PointerLockControls.js";
-import { Capsule } from "three/examples/jsm/math/Capsule.js";
+import { CSM } from "three/examples/jsm/csm/CSM.js";
+import { CSMHelper } from "three/examples/jsm/csm/CSMHelper.js";
+import {
+  listWorlds,
+  getWorld,
+  putWorld,
+  deleteWorld,
+  listSavedChunkKeys,
+  loadChunk,
+  saveChunks
+} from "./storage.js";
+import {
+  encodeChunk,
+  decodeChunk,
+  encodeWorld,
+  decodeWorld,
+  packCells,
+  unpackCells
+} from "./chunkCodec.js";
+import {
+  generateWorldChunk,
+  terrainHeight,
+  parseSeed,
+  randomSeed,
+  surfaceHeight,
+  WORLD_BOTTOM
+} from "./terrain.js";
+import { greedyMesh, createPaddedGrid, paddedIndex } from "./mesher.js";
+import { createLightEngine, LIGHT_CURVE, MAX_LIGHT } from "./lighting.js";
+import {
+  BLOCKS,
+  UNKNOWN_BLOCK,
+  ATLAS_COLUMNS,
+  ATLAS_TILE_SIZE,
+  DEFAULT_HOTBAR,
+  getBlock,
+  isSolidBlock,
+  isTransparentBlock,
+  blockLight,
+  fallsBlock,
+  isUnbreakable,
+  isPlaceableBlock,
+  fluidLevel,
+  displayType
+} from "./blocks.js";
+import { createBlockSim } from "./blockSim.js";
+import { createEditHistory } from "./history.js";
+import { createBody } from "./physics.js";
+import { isWalkable } from "./pathfinding.js";
+import { raycastVoxels } from "./voxelRaycast.js";
+import { MOB_KINDS, MOB_TUNING, createMob, planMob, stepMob, seededRandom } from "./mobs.js";
+import { stepPlayer, respawnBody, setFlying, encodeInput, decodeInput } from "./player.js";
+import {
+  createSurvivalState,
+  survivalSnapshot,
+  fallDamage,
+  damage,
+  takeItem,
+  addItem,
+  spawnDrop,
+  dropInventory,
+  respawn,
+  stepDrops,
+  SURVIVAL_TUNING
+} from "./survival.js";
+import {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  encodeChunkSet,
+  decodeChunkSet,
+  diffChunkSets,
+  validateRecording,
+  base64ToBytes
+} from "./replay.js";
+import { PROTOCOL_VERSION, DEFAULT_PORT } from "./netProtocol.js";
+import {
+  KEY_ACTIONS,
+  SHADOW_QUALITY,
+  SETTING_RANGES,
+  DEFAULT_SETTINGS,
+  sanitizeSettings,
+  keyLabel
+} from "./settings.js";
+import { skyAt, clockTime, wrapTime } from "./dayCycle.js";
+import { COMMANDS, commandUsage, parseCommand } from "./commands.js";
 
 /* ===================== Renderer ===================== */
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setPixelRatio(window.devicePixelRatio || 1);
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setClearColor(0x7fbfff);
+renderer.setClearColor(0x7fbfff); // the day cycle takes over from the first frame
 renderer.shadowMap.enabled = true;
 document.body.appendChild(renderer.domElement);
 
@@ -14,7 +98,7 @@ document.body.appendChild(renderer.domElement);
 const scene = new THREE.Scene();
 scene.fog = new THREE.Fog(0x7fbfff, 30, 120);
 scene.fog.near = 10;   // start closer to the camera
-scene.fog.far = 50;    // fully opaque sooner
+scene.fog.far = 50;    // fully opaque sooner (both follow the view distances, see applySettings)
 
 
 const camera = new THREE.PerspectiveCamera(
@@ -39,31 +123,12 @@ document.body.appendChild(crosshair);
 
 
 /* ===================== Lights ===================== */
-// Sun
-const sun = new THREE.DirectionalLight(0xffffff, 1.0);
-sun.position.set(50, 100, 50);    // high in the sky
-sun.castShadow = true;
-
-// Shadow map resolution
-sun.shadow.mapSize.width = 4096;
-sun.shadow.mapSize.height = 4096;
-sun.shadow.bias = -0.001;   // small negative bias
-sun.shadow.normalBias = 0.05; // offset along normals
-
-// Shadowcam
-const shadowRange = 200;
-sun.shadow.camera.left = -shadowRange;
-sun.shadow.camera.right = shadowRange;
-sun.shadow.camera.top = shadowRange;
-sun.shadow.camera.bottom = -shadowRange;
-sun.shadow.camera.near = 1;
-sun.shadow.camera.far = 500;
-
-// Sun pos
-sun.target.position.set(0, 0, 0);
-scene.add(sun.target);
-
-scene.add(sun);
+// Sun: one light per shadow cascade, see the Shadows section
+
+// Moon, opposite the sun; too dim to bother with shadows
+const moon = new THREE.DirectionalLight(0x8899cc, 0);
+scene.add(moon.target);
+scene.add(moon);
 
 // Ambient illum
 const skyLight = new THREE.HemisphereLight(0xb1e1ff, 0x444444, 0.6);
@@ -78,16 +143,318 @@ scene.traverse((obj) => {
 });
 
 
+/* ===================== Day and Night ===================== */
+// Time of day runs 0..1 (0.5 is noon, see dayCycle.js); rendering only, the
+// simulation and replays do not depend on it
+const MOON_DISTANCE = 250;     // moon light distance from the camera; only its direction matters
+const SKY_DISC_DISTANCE = 600; // sun/moon discs, inside the camera's far plane
+const TIME_SCRUB_SPEED = 120;  // time runs this many times faster while the scrub key is held
+
+let timeOfDay = 0.3; // mid-morning
+let timeScrubbing = false;
+
+function skyDisc(color, radius) {
+  const mat = new THREE.MeshBasicMaterial({ color, fog: false });
+  const disc = new THREE.Mesh(new THREE.SphereGeometry(radius, 16, 8), mat);
+  scene.add(disc);
+  return disc;
+}
+const sunDisc = skyDisc(0xfff2c0, 24);
+const moonDisc = skyDisc(0xdde4ff, 16);
+const skyDir = new THREE.Vector3();
+
+function updateDayCycle(delta) {
+  const dayLength = settings.dayLength * 60;
+  timeOfDay = wrapTime(timeOfDay + (delta / dayLength) * (timeScrubbing ? TIME_SCRUB_SPEED : 1));
+  const state = skyAt(timeOfDay);
+
+  renderer.setClearColor(state.sky);
+  scene.fog.color.setHex(state.fog);
+  skyLight.color.setHex(state.hemiSky);
+  skyLight.groundColor.setHex(state.hemiGround);
+  skyLight.intensity = state.hemiIntensity;
+
+  skyDir.fromArray(state.sunDir);
+  updateSun(state.sunColor, state.sunIntensity);
+  moon.target.position.copy(camera.position);
+  moon.position.copy(camera.position).addScaledVector(skyDir, -MOON_DISTANCE);
+  moon.intensity = state.moonIntensity;
+
+  sunDisc.position.copy(camera.position).addScaledVector(skyDir, SKY_DISC_DISTANCE);
+  moonDisc.position.copy(camera.position).addScaledVector(skyDir, -SKY_DISC_DISTANCE);
+  sunDisc.visible = skyDir.y > -0.1; // below the horizon the floor may not hide it
+  moonDisc.visible = skyDir.y < 0.1;
+}
+
+/* ===================== Shadows ===================== */
+// Cascaded shadow maps (three's CSM): the view frustum is cut into slices by
+// distance and each slice gets its own sun light and shadow map, so shadows
+// are sharp up close and still reach the edge of the loaded area. CSM snaps
+// each cascade to its shadow map texels, so shadows do not shimmer as the
+// player moves. Every material the sun lights must go through litMaterial.
+const litMaterials = new Set();
+let csm = null;
+let csmHelper = null;
+let shadowDebug = false;
+
+// Registers a material for the cascades' shader patch; returns it
+function litMaterial(mat) {
+  litMaterials.add(mat);
+  if (csm) prepareLitMaterial(mat);
+  return mat;
+}
+
+function prepareLitMaterial(mat) {
+  csm.setupMaterial(mat);
+  if (mat.userData.voxelLight) patchVoxelLight(mat); // wraps the hook CSM just set
+}
+
+function forgetLitMaterial(mat) {
+  litMaterials.delete(mat);
+  csm?.shaders.delete(mat);
+  mat.dispose();
+}
+
+// Shadows cover the full-detail chunks; LOD chunks and impostors cast none
+const shadowDistance = () => (settings.renderDistance + 0.5) * CHUNK_SIZE;
+
+// Called from applySettings; rebuilds the cascades only when their count changes
+function applyShadowSettings() {
+  const { cascades, mapSize } = SHADOW_QUALITY[settings.shadowQuality];
+  const count = Math.max(1, cascades); // "off" keeps one unshadowed light
+  if (!csm || csm.cascades !== count) {
+    if (csm) {
+      csm.remove();
+      csm.dispose();
+      for (const light of csm.lights) light.shadow.map?.dispose();
+    }
+    csm = new CSM({
+      camera,
+      parent: scene,
+      cascades: count,
+      maxFar: shadowDistance(),
+      mode: "practical",
+      shadowMapSize: mapSize || 512,
+      shadowBias: -0.0005
+    });
+    for (const light of csm.lights) light.shadow.normalBias = 0.05;
+    for (const mat of litMaterials) prepareLitMaterial(mat);
+    updateShadowHelper();
+  }
+  for (const light of csm.lights) {
+    if (mapSize > 0 && light.shadow.mapSize.width !== mapSize) {
+      light.shadow.mapSize.set(mapSize, mapSize);
+      // Reallocated at the new size on the next render
+      light.shadow.map?.dispose();
+      light.shadow.map = null;
+    }
+  }
+  csm.maxFar = shadowDistance();
+  csm.updateFrustums();
+}
+
+// Follows the camera; called every frame from updateDayCycle
+function updateSun(color, intensity) {
+  const castShadow = SHADOW_QUALITY[settings.shadowQuality].cascades > 0 && intensity > 0;
+  csm.lightDirection.copy(skyDir).negate();
+  csm.lights.forEach((light, i) => {
+    light.castShadow = castShadow;
+    light.color.setHex(color);
+    // Unshadowed, CSM lets every cascade light everything, so only one may shine
+    light.intensity = castShadow || i === 0 ? intensity : 0;
+  });
+  camera.updateMatrixWorld();
+  csm.update();
+  if (csmHelper) csmHelper.update();
+}
+
+/* ===== Cascade debug view ===== */
+// Shows the split planes, the slices of the view frustum and each cascade's
+// shadow camera bounds; the split distances go in the stats line
+function updateShadowHelper() {
+  if (csmHelper) {
+    scene.remove(csmHelper);
+    csmHelper.dispose();
+    csmHelper = null;
+  }
+  if (!shadowDebug) return;
+  csmHelper = new CSMHelper(csm);
+  scene.add(csmHelper);
+}
+
+function shadowSplits() {
+  return csm.breaks.map((b) => (b * csm.maxFar).toFixed(0)).join("/");
+}
+
+
 /* ===================== Shared Geometry and Materials ===================== */
 const cubeSize = 1;
 const boxGeo = new THREE.BoxGeometry(cubeSize, cubeSize, cubeSize);
-const brownMat = new THREE.MeshStandardMaterial({ color: 0x8b5a2b }); // Player-placed
-const greenMat = new THREE.MeshStandardMaterial({ color: 0x2b7a3a }); // Ground
-const ghostMat = new THREE.MeshStandardMaterial({
-  color: 0xffff00,
-  opacity: 0.5,
-  transparent: true
-});
+const ghostMat = litMaterial(
+  new THREE.MeshStandardMaterial({
+    color: 0xffff00,
+    opacity: 0.5,
+    transparent: true
+  })
+);
+
+/* ===================== Block Textures ===================== */
+// Every tile is painted procedurally into one atlas canvas; each block type
+// then gets its own repeating texture cut from its tile, so greedy quads can
+// tile it across their whole surface.
+const atlasCanvas = document.createElement("canvas");
+atlasCanvas.width = atlasCanvas.height = ATLAS_COLUMNS * ATLAS_TILE_SIZE;
+const atlasCtx = atlasCanvas.getContext("2d");
+
+function paintTile(def) {
+  const T = ATLAS_TILE_SIZE;
+  const ox = (def.tile % ATLAS_COLUMNS) * T;
+  const oy = Math.floor(def.tile / ATLAS_COLUMNS) * T;
+  const r0 = (def.color >> 16) & 255;
+  const g0 = (def.color >> 8) & 255;
+  const b0 = def.color & 255;
+  const img = atlasCtx.createImageData(T, T);
+  let seed = def.tile * 7919 + 1;
+  const rand = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+
+  for (let y = 0; y < T; y++) {
+    for (let x = 0; x < T; x++) {
+      let shade = 0.88 + rand() * 0.24;
+      let alpha = 255;
+      switch (def.pattern) {
+        case "planks":
+          if (y % 4 === 3) shade *= 0.7;
+          if (x === (y < 4 || (y >= 8 && y < 12) ? 3 : 11)) shade *= 0.8;
+          break;
+        case "bricks": {
+          const row = Math.floor(y / 4);
+          if (y % 4 === 3 || (x + (row % 2) * 4) % 8 === 7) shade = 1.25;
+          break;
+        }
+        case "log":
+          if (x % 4 === 0) shade *= 0.75;
+          break;
+        case "lamp": {
+          const frame = x < 2 || y < 2 || x > T - 3 || y > T - 3;
+          shade = frame ? 0.45 : 1 + rand() * 0.1;
+          break;
+        }
+        case "leaves":
+          if (rand() < 0.3) alpha = 0;
+          break;
+        case "water":
+          shade = 0.85 + 0.15 * Math.sin((x + y * 0.5) * 0.8);
+          break;
+        case "glass": {
+          const edge = x === 0 || y === 0 || x === T - 1 || y === T - 1;
+          const glint = x === y && x > 3 && x < 8;
+          if (!edge && !glint) alpha = 0;
+          shade = 1;
+          break;
+        }
+      }
+      const i = (y * T + x) * 4;
+      img.data[i] = Math.min(255, r0 * shade);
+      img.data[i + 1] = Math.min(255, g0 * shade);
+      img.data[i + 2] = Math.min(255, b0 * shade);
+      img.data[i + 3] = alpha;
+    }
+  }
+  atlasCtx.putImageData(img, ox, oy);
+}
+
+function tileCanvas(def) {
+  const T = ATLAS_TILE_SIZE;
+  const c = document.createElement("canvas");
+  c.width = c.height = T;
+  c.getContext("2d").drawImage(
+    atlasCanvas,
+    (def.tile % ATLAS_COLUMNS) * T,
+    Math.floor(def.tile / ATLAS_COLUMNS) * T,
+    T,
+    T,
+    0,
+    0,
+    T,
+    T
+  );
+  return c;
+}
+
+// voxelLight: for greedy meshes, which carry per-vertex light (see patchVoxelLight)
+function makeBlockMaterial(def, voxelLight = false) {
+  const tex = new THREE.CanvasTexture(tileCanvas(def));
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  tex.magFilter = THREE.NearestFilter;
+  tex.colorSpace = THREE.SRGBColorSpace;
+  // Transparent blocks are cut-outs, so they never need depth sorting; only
+  // fluids are see-through
+  const mat = new THREE.MeshStandardMaterial({ map: tex, alphaTest: def.transparent ? 0.5 : 0 });
+  if (def.fluid !== undefined) {
+    mat.transparent = true;
+    mat.opacity = 0.7;
+    mat.alphaTest = 0;
+    mat.depthWrite = false;
+  }
+  if (def.light) {
+    // Light-giving blocks glow whatever lights them
+    mat.emissive.set(0xffffff);
+    mat.emissiveMap = tex;
+    mat.emissiveIntensity = def.light / MAX_LIGHT;
+  }
+  mat.userData.voxelLight = voxelLight;
+  return litMaterial(mat);
+}
+
+/* ===== Voxel light in the shader ===== */
+// Greedy meshes carry voxelLight = (ambient occlusion, sky brightness, block
+// brightness) per vertex. Sun and sky light are scaled by how much sky the
+// face sees, so caves stay dark at noon, and block light is added on top in
+// its own colour, so lamps still light things up at night.
+const BLOCK_LIGHT_COLOR = new THREE.Color(1.0, 0.8, 0.55);
+
+function patchVoxelLight(mat) {
+  const csmHook = mat.onBeforeCompile;
+  mat.onBeforeCompile = (shader, renderer) => {
+    csmHook.call(mat, shader, renderer);
+    shader.uniforms.blockLightColor = { value: BLOCK_LIGHT_COLOR };
+    shader.vertexShader =
+      "attribute vec3 voxelLight;\nvarying vec3 vVoxelLight;\n" +
+      shader.vertexShader.replace(
+        "#include <begin_vertex>",
+        "#include <begin_vertex>\n  vVoxelLight = voxelLight;"
+      );
+    shader.fragmentShader =
+      "uniform vec3 blockLightColor;\nvarying vec3 vVoxelLight;\n" +
+      shader.fragmentShader.replace(
+        "#include <lights_fragment_end>",
+        [
+          "#include <lights_fragment_end>",
+          "  float skyShade = vVoxelLight.x * vVoxelLight.y;",
+          "  reflectedLight.directDiffuse *= skyShade;",
+          "  reflectedLight.directSpecular *= skyShade;",
+          "  reflectedLight.indirectDiffuse *= skyShade;",
+          "  reflectedLight.indirectDiffuse += diffuseColor.rgb * blockLightColor * vVoxelLight.x * vVoxelLight.z;"
+        ].join("\n")
+      );
+  };
+}
+
+for (const def of [...Object.values(BLOCKS), UNKNOWN_BLOCK]) paintTile(def);
+
+// Types drawn as another type share its material
+const blockMaterials = {};
+for (const type in BLOCKS) blockMaterials[type] = blockMaterials[displayType(type)] ?? makeBlockMaterial(BLOCKS[type]);
+const unknownMat = makeBlockMaterial(UNKNOWN_BLOCK);
+const getBlockMaterial = (type) => blockMaterials[type] ?? unknownMat;
+
+// Greedy meshes get their own copies, since instanced cubes have no voxelLight
+const voxelMaterials = {};
+for (const type in BLOCKS) {
+  voxelMaterials[type] = voxelMaterials[displayType(type)] ?? makeBlockMaterial(BLOCKS[type], true);
+}
+const unknownVoxelMat = makeBlockMaterial(UNKNOWN_BLOCK, true);
+const getVoxelMaterial = (type) => voxelMaterials[type] ?? unknownVoxelMat;
 
 /* ===================== Ghost Cube ===================== */
 const ghostCube = new THREE.Mesh(boxGeo, ghostMat);
@@ -97,38 +464,36 @@ scene.add(ghostCube);
 
 /* ===================== Reusable Objects ===================== */
 const tmpVec = new THREE.Vector3();
-const tmpVec2 = new THREE.Vector3();
-const tmpBox = new THREE.Box3();
-const tmpClosest = new THREE.Vector3();
 const tmpMat = new THREE.Matrix4();
-const tmpPos = new THREE.Vector3();
-const raycaster = new THREE.Raycaster();
+const tmpColor = new THREE.Color();
 const forward = new THREE.Vector3();
 
 /* ===================== Player Movement ===================== */
-const move = { forward: false, backward: false, left: false, right: false };
+const move = { forward: false, backward: false, left: false, right: false, jump: false };
 let sprinting = false;
-let canJump = false;
 const velocity = new THREE.Vector3();
-const direction = new THREE.Vector3();
-
-const baseSpeed = 75;
-const sprintMultiplier = 1.8;
-const gravity = 20;
-const jumpSpeed = 8;
 const eyeHeight = 1.6;
 
-const capsuleRadius = 0.35;
-const capsuleHeight = 1.6;
-const playerCollider = new Capsule(
-  new THREE.Vector3(0, capsuleRadius, 0),
-  new THREE.Vector3(0, capsuleHeight - capsuleRadius, 0),
-  capsuleRadius
-);
+// Player hitbox: feet at position, eyes eyeHeight above them
+const player = createBody({
+  position: new THREE.Vector3(),
+  velocity,
+  halfWidth: 0.3,
+  height: 1.8,
+  stepHeight: 1
+});
+const prevPlayerPos = new THREE.Vector3(); // feet at the previous tick, for interpolation
+
+function teleportPlayer(x, feetY, z) {
+  player.position.set(x, feetY, z);
+  prevPlayerPos.copy(player.position);
+  velocity.set(0, 0, 0);
+}
+teleportPlayer(camera.position.x, camera.position.y - eyeHeight, camera.position.z);
 
 /* ===================== Chunk System ===================== */
 const CHUNK_SIZE = 16;
-const RENDER_DISTANCE = 2;
+const VERTICAL_RENDER_DISTANCE = 1; // chunks above/below the player's chunk (horizontal is a setting)
 
 const chunks = new Map(); // key -> ChunkRecord
 const chunkData = new Map(); // key -> Array<[x,y,z,type]>
@@ -141,25 +506,29 @@ const getChunkKeyFromCoords = (cx, cy, cz) => `${cx},${cy},${cz}`;
 const getCellKey = (pos) =>
   `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
 
+// Per-type fields are keyed by block type and filled in on first use
 function makeEmptyChunkRecord() {
   return {
     occupancy: new Map(),
-    meshes: { green: null, brown: null },
-    indexMaps: { green: new Map(), brown: new Map() },
-    cellsByIndex: { green: [], brown: [] },
-    counts: { green: 0, brown: 0 },
-    capacities: { green: 0, brown: 0 }
+    meshes: {},
+    indexMaps: {},
+    cellsByIndex: {},
+    counts: {},
+    capacities: {},
+    greedyMeshes: {}, // type -> Mesh, used instead of meshes in greedy mode
+    meshVersion: 0, // bumped on every rebuild and mesh job so only the newest mesh is used
+    meshed: false // greedy mode: its first mesh has come back from a worker
   };
 }
 
 function addChunkToScene(key, record) {
   // (Re)add meshes to scene if present
-  if (record.meshes.green) scene.add(record.meshes.green);
-  if (record.meshes.brown) scene.add(record.meshes.brown);
+  for (const mesh of Object.values(record.meshes)) scene.add(mesh);
+  for (const mesh of Object.values(record.greedyMeshes)) scene.add(mesh);
 }
 function removeChunkFromScene(record) {
-  if (record.meshes.green) scene.remove(record.meshes.green);
-  if (record.meshes.brown) scene.remove(record.meshes.brown);
+  for (const mesh of Object.values(record.meshes)) scene.remove(mesh);
+  for (const mesh of Object.values(record.greedyMeshes)) scene.remove(mesh);
 }
 
 /* ===== Instanced helpers ===== */
@@ -167,32 +536,45 @@ function createInstancedMesh(material, capacity) {
   const mesh = new THREE.InstancedMesh(boxGeo, material, capacity);
   mesh.castShadow = true;
   mesh.receiveShadow = true;
+  mesh.frustumCulled = false; // culled per chunk, see cullChunks
   mesh.count = 0; // draw 0 initially
+  // Light tint per cube, see tintInstance
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
   return mesh;
 }
 
 function ensureCapacityForType(record, type, needed) {
+  if (!(type in record.capacities)) {
+    record.meshes[type] = null;
+    record.indexMaps[type] = new Map();
+    record.cellsByIndex[type] = [];
+    record.counts[type] = 0;
+    record.capacities[type] = 0;
+  }
   if (record.capacities[type] >= needed) return;
 
   const newCapacity = Math.max(needed, Math.max(8, record.capacities[type] * 2));
   const oldMesh = record.meshes[type];
-  const mat = type === "green" ? greenMat : brownMat;
+  const mat = getBlockMaterial(type);
   const newMesh = createInstancedMesh(mat, newCapacity);
 
   // Make sure shadows are enabled on the new mesh
   newMesh.castShadow = true;
   newMesh.receiveShadow = true;
 
-  // Copy old matrices
+  // Copy old matrices and light tints
   if (oldMesh) {
     for (let i = 0; i < record.counts[type]; i++) {
       oldMesh.getMatrixAt(i, tmpMat);
       newMesh.setMatrixAt(i, tmpMat);
+      oldMesh.getColorAt(i, tmpColor);
+      newMesh.setColorAt(i, tmpColor);
     }
     newMesh.count = record.counts[type];
 
-    // Remove old mesh from scene
+    // Remove old mesh from scene and free its instance buffers
     scene.remove(oldMesh);
+    oldMesh.dispose();
   }
 
   // Add the new mesh to the scene
@@ -212,195 +594,426 @@ function setInstanceAt(record, type, idx, x, y, z) {
 /* ===== Chunk create/build from data ===== */
 function buildChunkFromArray(key, arr) {
   const rec = makeEmptyChunkRecord();
+  cellLookupCache.delete(key); // rec.occupancy answers lookups from now on
+
+  if (meshMode === "greedy") {
+    for (const [x, y, z, type] of arr) rec.occupancy.set(getCellKey({ x, y, z }), type);
+    chunks.set(key, rec);
+    // Lighting queues this chunk and its neighbours for remeshing on the
+    // workers, which also lets the neighbours cull the faces they share with it
+    lightChunk(key, rec);
+    simChunk(key, rec);
+    spawnMobs(key);
+    return;
+  }
 
   // Separate by type
-  const greens = [];
-  const browns = [];
+  const byType = new Map();
   for (const [x, y, z, type] of arr) {
     const ck = getCellKey({ x, y, z });
     rec.occupancy.set(ck, type);
-    (type === "green" ? greens : browns).push([x, y, z, ck]);
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push([x, y, z, ck]);
   }
 
-  if (greens.length) {
-    ensureCapacityForType(rec, "green", greens.length);
-    greens.forEach(([x, y, z, ck], i) => {
-      setInstanceAt(rec, "green", i, x, y, z);
-      rec.indexMaps.green.set(ck, i);
-      rec.cellsByIndex.green[i] = ck;
+  for (const [type, cells] of byType) {
+    ensureCapacityForType(rec, type, cells.length);
+    cells.forEach(([x, y, z, ck], i) => {
+      setInstanceAt(rec, type, i, x, y, z);
+      rec.indexMaps[type].set(ck, i);
+      rec.cellsByIndex[type][i] = ck;
     });
-    rec.counts.green = greens.length;
-    rec.meshes.green.count = rec.counts.green;
-  }
-
-  if (browns.length) {
-    ensureCapacityForType(rec, "brown", browns.length);
-    browns.forEach(([x, y, z, ck], i) => {
-      setInstanceAt(rec, "brown", i, x, y, z);
-      rec.indexMaps.brown.set(ck, i);
-      rec.cellsByIndex.brown[i] = ck;
-    });
-    rec.counts.brown = browns.length;
-    rec.meshes.brown.count = rec.counts.brown;
+    rec.counts[type] = cells.length;
+    rec.meshes[type].count = rec.counts[type];
   }
 
   addChunkToScene(key, rec);
   chunks.set(key, rec);
-}
-
-function generateGroundArrayForChunk(cx, cz) {
-  const out = [];
-  for (let x = 0; x < CHUNK_SIZE; x++) {
-    for (let z = 0; z < CHUNK_SIZE; z++) {
-      const worldX = cx * CHUNK_SIZE + x + 0.5;
-      const worldZ = cz * CHUNK_SIZE + z + 0.5;
-      for (let y = 0; y < 3; y++) {
-        out.push([worldX, y + 0.5, worldZ, "green"]);
-      }
-    }
-  }
-  return out;
+  lightChunk(key, rec);
+  simChunk(key, rec);
+  spawnMobs(key);
+  tintInstances(rec);
+  relightQueue.delete(key);
 }
 
 /* ===================== Controls ===================== */
 const controls = new PointerLockControls(camera, renderer.domElement);
 const overlay = document.getElementById("overlay");
-overlay.addEventListener("click", () => controls.lock());
+overlay.addEventListener("click", (e) => {
+  if (e.target.closest("#worlds, #settings")) return; // menu controls
+  if (worldIsOpen()) controls.lock();
+});
 controls.addEventListener("lock", () => (overlay.style.display = "none"));
-controls.addEventListener("unlock", () => (overlay.style.display = ""));
+controls.addEventListener("unlock", () => {
+  if (!consoleOpen) overlay.style.display = "";
+});
 
-/* ===================== Keyboard Input ===================== */
-document.addEventListener("keydown", (e) => {
-  switch (e.code) {
-    case "KeyW":
-    case "ArrowUp":
-      move.forward = true;
-      break;
-    case "KeyA":
-    case "ArrowLeft":
-      move.left = true;
-      break;
-    case "KeyS":
-    case "ArrowDown":
-      move.backward = true;
-      break;
-    case "KeyD":
-    case "ArrowRight":
-      move.right = true;
-      break;
-    case "ShiftLeft":
-    case "ShiftRight":
-      sprinting = true;
-      break;
-    case "Space":
-      if (canJump) {
-        velocity.y = jumpSpeed;
-        canJump = false;
-      }
-      break;
+// Mouse look lives here rather than in PointerLockControls so sensitivity and
+// invert-Y apply; the controls only look after the pointer lock
+controls.pointerSpeed = 0;
+const lookEuler = new THREE.Euler(0, 0, 0, "YXZ");
+document.addEventListener("mousemove", (e) => {
+  if (!controls.isLocked) return;
+  const speed = 0.002 * settings.mouseSensitivity;
+  lookEuler.setFromQuaternion(camera.quaternion);
+  lookEuler.y -= e.movementX * speed;
+  lookEuler.x -= e.movementY * speed * (settings.invertY ? -1 : 1);
+  lookEuler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, lookEuler.x));
+  camera.quaternion.setFromEuler(lookEuler);
+});
+
+/* ===================== Settings ===================== */
+// Stored in localStorage and applied as soon as they change
+const SETTINGS_KEY = "settings";
+let settings = loadSettings();
+let rebinding = null; // { action, button } while waiting for a key
+
+function loadSettings() {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch {
+    return sanitizeSettings(null);
+  }
+}
+
+function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+const isBound = (action, code) => settings.bindings[action].includes(code);
+const boundKeyLabel = (action) => keyLabel(settings.bindings[action][0]);
+
+function applySettings() {
+  camera.fov = settings.fov;
+  camera.updateProjectionMatrix();
+  // Clear over the full-detail chunks, opaque where the impostors end
+  const { near, far } = viewRanges();
+  scene.fog.near = near * CHUNK_SIZE;
+  scene.fog.far = far * CHUNK_SIZE;
+  applyShadowSettings();
+  updateKeyHints();
+}
+
+// Overlay lines like "Move: {forward}/{left}/{backward}/{right}" in data-keys
+function updateKeyHints() {
+  for (const el of document.querySelectorAll("[data-keys]")) {
+    el.textContent = el.dataset.keys.replace(/\{(\w+)\}/g, (_, action) => boundKeyLabel(action));
   }
+}
+
+/* ===== Settings panel ===== */
+const settingsPanel = document.getElementById("settingsPanel");
+document.getElementById("settingsToggle").addEventListener("click", () => {
+  settingsPanel.hidden = !settingsPanel.hidden;
 });
-document.addEventListener("keyup", (e) => {
-  switch (e.code) {
-    case "KeyW":
-    case "ArrowUp":
-      move.forward = false;
-      break;
-    case "KeyA":
-    case "ArrowLeft":
-      move.left = false;
-      break;
-    case "KeyS":
-    case "ArrowDown":
-      move.backward = false;
-      break;
-    case "KeyD":
-    case "ArrowRight":
-      move.right = false;
-      break;
-    case "ShiftLeft":
-    case "ShiftRight":
-      sprinting = false;
-      break;
+
+function addSettingRow(label, input, output = null) {
+  const row = document.createElement("label");
+  row.className = "setting";
+  row.append(label, input);
+  if (output) row.append(output);
+  settingsPanel.append(row);
+}
+
+function addRangeSetting(name, label, format = (v) => v) {
+  const [min, max, step] = SETTING_RANGES[name];
+  const input = Object.assign(document.createElement("input"), { type: "range", min, max, step });
+  const output = document.createElement("output");
+  input.value = settings[name];
+  output.textContent = format(settings[name]);
+  input.addEventListener("input", () => {
+    settings[name] = Number(input.value);
+    output.textContent = format(settings[name]);
+    saveSettings();
+    applySettings();
+  });
+  addSettingRow(label, input, output);
+}
+
+function addHeading(text) {
+  const h = document.createElement("div");
+  h.className = "settingsHeading";
+  h.textContent = text;
+  settingsPanel.append(h);
+}
+
+function buildSettingsPanel() {
+  settingsPanel.replaceChildren();
+
+  addHeading("Mouse and view");
+  addRangeSetting("mouseSensitivity", "Mouse sensitivity", (v) => `${v.toFixed(2)}×`);
+  const invert = Object.assign(document.createElement("input"), { type: "checkbox", checked: settings.invertY });
+  invert.addEventListener("change", () => {
+    settings.invertY = invert.checked;
+    saveSettings();
+  });
+  addSettingRow("Invert Y", invert);
+  addRangeSetting("fov", "Field of view", (v) => `${v}°`);
+  addRangeSetting("reach", "Reach", (v) => `${v} blocks`);
+  addRangeSetting("renderDistance", "Render distance", (v) => `${v} chunks`);
+  addRangeSetting("lodDistance", "LOD distance", (v) => `${v} chunks`);
+  addRangeSetting("farDistance", "Far distance", (v) => `${v} chunks`);
+  addRangeSetting("dayLength", "Day length", (v) => `${v} min`);
+  const shadows = document.createElement("select");
+  for (const name in SHADOW_QUALITY) shadows.add(new Option(name, name));
+  shadows.value = settings.shadowQuality;
+  shadows.addEventListener("change", () => {
+    settings.shadowQuality = shadows.value;
+    saveSettings();
+    applySettings();
+  });
+  addSettingRow("Shadows", shadows);
+
+  let group = null;
+  for (const { action, label, group: g } of KEY_ACTIONS) {
+    if (g !== group) addHeading(`Keys: ${(group = g)}`);
+    const button = document.createElement("button");
+    button.textContent = settings.bindings[action].map(keyLabel).join(" / ");
+    button.addEventListener("click", () => startRebinding(action, button));
+    addSettingRow(label, button);
   }
+
+  const reset = document.createElement("button");
+  reset.textContent = "Reset to defaults";
+  reset.addEventListener("click", () => {
+    settings = sanitizeSettings(DEFAULT_SETTINGS);
+    saveSettings();
+    applySettings();
+    buildSettingsPanel();
+  });
+  settingsPanel.append(reset);
+}
+
+function startRebinding(action, button) {
+  if (rebinding) rebinding.button.textContent = settings.bindings[rebinding.action].map(keyLabel).join(" / ");
+  rebinding = { action, button };
+  button.textContent = "Press a key… (Esc cancels)";
+}
+
+// Capture phase on window runs before every other key listener, so the key
+// being bound does not also trigger its old action
+window.addEventListener(
+  "keydown",
+  (e) => {
+    if (!rebinding) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const { action } = rebinding;
+    rebinding = null;
+    if (e.code !== "Escape") {
+      settings.bindings[action] = [e.code];
+      saveSettings();
+      applySettings();
+    }
+    buildSettingsPanel();
+  },
+  true
+);
+
+buildSettingsPanel();
+applySettings();
+
+/* ===================== Keyboard Input ===================== */
+// Keys typed into the overlay's fields (world name, seed, server) are text, not
+// game keys. Every global keydown listener starts with this.
+const typingInField = (e) => e.target instanceof Element && !!e.target.closest("input, textarea, select");
+
+// Held keys, looked up through the bindings in settings
+function setHeldKey(code, down) {
+  if (isBound("forward", code)) move.forward = down;
+  if (isBound("backward", code)) move.backward = down;
+  if (isBound("left", code)) move.left = down;
+  if (isBound("right", code)) move.right = down;
+  if (isBound("jump", code)) move.jump = down;
+  if (isBound("sprint", code)) sprinting = down;
+  if (isBound("timeScrub", code)) timeScrubbing = down;
+}
+document.addEventListener("keydown", (e) => {
+  if (!typingInField(e)) setHeldKey(e.code, true);
 });
+document.addEventListener("keyup", (e) => setHeldKey(e.code, false)); // always, or a key held into a field sticks
 
 let ghostEnabled = false;
 
 document.addEventListener("keydown", (e) => {
-  if (e.code === "Tab") {
-    e.preventDefault(); // prevent browser focus change
+  if (typingInField(e)) return;
+  if (isBound("ghost", e.code)) {
+    e.preventDefault(); // Tab would move browser focus
     ghostEnabled = !ghostEnabled;
     ghostCube.visible = ghostEnabled;
   }
 });
 
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (isBound("shadowDebug", e.code)) {
+    shadowDebug = !shadowDebug;
+    updateShadowHelper();
+  }
+});
+
 let gridVisible = false; // start with grid invisible
 
-// Toggle grid visibility on G
+// Toggle grid visibility
 document.addEventListener("keydown", (e) => {
-  if (e.code === "KeyG") {
+  if (typingInField(e)) return;
+  if (isBound("grid", e.code)) {
     gridVisible = !gridVisible;
     for (const g of gridTiles) g.visible = gridVisible;
   }
 });
 
 
-/* ===================== Collision ===================== */
-function capsuleIntersectCorrection(capsule, box) {
-  tmpVec2.subVectors(capsule.end, capsule.start);
-  const segLen = tmpVec2.length();
-  tmpVec2.normalize();
-  const steps = 5;
-
-  for (let i = 0; i <= steps; i++) {
-    tmpVec.copy(tmpVec2).multiplyScalar((i / steps) * segLen).add(capsule.start);
-    box.clampPoint(tmpVec, tmpClosest);
-    const dist = tmpClosest.distanceTo(tmpVec);
-    if (dist < capsule.radius) {
-      const pushDir = tmpVec.clone().sub(tmpClosest).normalize();
-      return { correction: pushDir.multiplyScalar(capsule.radius - dist), normal: pushDir };
+/* ===================== Hotbar ===================== */
+const hotbar = DEFAULT_HOTBAR.slice();
+let selectedSlot = 0;
+
+const hotbarEl = document.getElementById("hotbar");
+const hotbarLabel = document.getElementById("hotbarLabel");
+const hotbarSlots = hotbar.map((type, i) => {
+  const slot = document.createElement("div");
+  slot.className = "slot";
+  slot.style.backgroundImage = `url(${tileCanvas(getBlock(type)).toDataURL()})`;
+  slot.dataset.key = i < 10 ? (i + 1) % 10 : ""; // the rest only by mouse wheel
+  hotbarEl.appendChild(slot);
+  return slot;
+});
+
+function selectSlot(i) {
+  selectedSlot = (i + hotbar.length) % hotbar.length;
+  hotbarSlots.forEach((slot, j) => slot.classList.toggle("selected", j === selectedSlot));
+  hotbarLabel.textContent = getBlock(hotbar[selectedSlot]).name;
+}
+selectSlot(0);
+
+function setHotbarSlot(i, type) {
+  hotbar[i] = type;
+  hotbarSlots[i].style.backgroundImage = `url(${tileCanvas(getBlock(type)).toDataURL()})`;
+}
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  const m = /^Digit([0-9])$/.exec(e.code);
+  const slot = m ? (Number(m[1]) + 9) % 10 : -1; // 0 is the tenth slot
+  if (m && slot < hotbar.length) selectSlot(slot);
+});
+
+window.addEventListener("wheel", (e) => {
+  if (!controls.isLocked || e.deltaY === 0) return;
+  selectSlot(selectedSlot + Math.sign(e.deltaY));
+});
+
+/* ===================== Undo / Redo ===================== */
+const editHistory = createEditHistory();
+let editBatchDepth = 0;
+const batchedRemesh = new Set(); // chunks to remesh once the batch ends
+
+// Runs fn as one undo step, remeshing touched chunks once at the end
+function withEditGroup(fn) {
+  editHistory.begin();
+  editBatchDepth++;
+  try {
+    return fn();
+  } finally {
+    editHistory.end();
+    if (--editBatchDepth === 0 && batchedRemesh.size) {
+      remeshChunks(batchedRemesh);
+      batchedRemesh.clear();
     }
   }
-  return null;
 }
 
+function setBlockAt(x, y, z, type) {
+  removeBlockAt(x, y, z);
+  if (type) addBlockAt(x, y, z, type);
+}
+
+function undoEdit() {
+  const ops = editHistory.undo();
+  if (!ops) return;
+  editHistory.silently(() =>
+    withEditGroup(() => {
+      for (let i = ops.length - 1; i >= 0; i--) setBlockAt(ops[i].x, ops[i].y, ops[i].z, ops[i].before);
+    })
+  );
+}
+
+function redoEdit() {
+  const ops = editHistory.redo();
+  if (!ops) return;
+  editHistory.silently(() =>
+    withEditGroup(() => {
+      for (const op of ops) setBlockAt(op.x, op.y, op.z, op.after);
+    })
+  );
+}
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (!(e.ctrlKey || e.metaKey) || replay || survival) return; // no taking back in survival
+  if (e.code === "KeyZ" && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit();
+  } else if (e.code === "KeyY" || (e.code === "KeyZ" && e.shiftKey)) {
+    e.preventDefault();
+    redoEdit();
+  }
+});
+
+/* ===================== Collision ===================== */
 function getChunkRecordAtCell(x, y, z) {
   const key = getChunkKey({ x, y, z });
   return chunks.get(key);
 }
 
-function resolveCollisions(vel) {
-  const min = playerCollider.start.clone().subScalar(capsuleRadius + cubeSize);
-  const max = playerCollider.end.clone().addScalar(capsuleRadius + cubeSize);
-  const visited = new Set();
-
-  for (let x = Math.floor(min.x); x <= Math.floor(max.x); x++)
-    for (let y = Math.floor(min.y); y <= Math.floor(max.y); y++)
-      for (let z = Math.floor(min.z); z <= Math.floor(max.z); z++) {
-        const rec = getChunkRecordAtCell(x, y, z);
-        if (!rec) continue;
-        const ck = getCellKey({ x, y, z });
-        if (visited.has(ck)) continue;
-        visited.add(ck);
-
-        if (!rec.occupancy.has(ck)) continue;
-
-        // Box is 1x1x1 centered at (x+0.5, y+0.5, z+0.5)
-        tmpBox.setFromCenterAndSize(
-          tmpPos.set(x + 0.5, y + 0.5, z + 0.5),
-          tmpVec.set(1, 1, 1)
-        );
-        const result = capsuleIntersectCorrection(playerCollider, tmpBox);
-        if (result) {
-          playerCollider.translate(result.correction);
-          vel.sub(result.normal.clone().multiplyScalar(vel.dot(result.normal)));
-        }
-      }
+// Cell maps of chunkData arrays for chunks that are not built. An edit either
+// pushes onto the array or replaces it, so identity plus length spots changes.
+const cellLookupCache = new Map(); // key -> { arr, length, cells }
+
+function getUnbuiltCells(key) {
+  // Reading never generates on the main thread; the chunk workers do that.
+  // Replays re-run ticks back to back (scrubbing too) and cannot wait for
+  // them, so they generate what they touch, as replay.js does.
+  const arr = replay ? getChunkDataForEdit(key) : chunkData.get(key);
+  if (!arr) return null;
+  let entry = cellLookupCache.get(key);
+  if (!entry || entry.arr !== arr || entry.length !== arr.length) {
+    const cells = new Map(arr.map((c) => [getCellKey({ x: c[0], y: c[1], z: c[2] }), c[3]]));
+    entry = { arr, length: arr.length, cells };
+    cellLookupCache.set(key, entry);
+  }
+  return entry.cells;
+}
+
+// Block type in an integer cell: null for air, undefined while the chunk's data
+// is not here yet (still generating, in IndexedDB or on the server). Reads the
+// block data rather than what is built, so a chunk waiting for its mesh
+// already counts.
+function getCellType(x, y, z) {
+  const key = getChunkKey({ x, y, z });
+  const ck = `${x},${y},${z}`;
+  const rec = chunks.get(key);
+  if (rec) return rec.occupancy.get(ck) ?? null;
+  const cells = getUnbuiltCells(key);
+  return cells ? cells.get(ck) ?? null : undefined;
+}
+
+// Physics lookup. Chunks still loading or generating count as solid so the
+// player waits at their edge instead of falling in. Recordings note which
+// chunks each tick found missing so replays see them the same way.
+function isSolidCell(x, y, z) {
+  if (unloadedInReplay(x, y, z)) return true;
+  const type = getCellType(x, y, z);
+  if (type === undefined) recordUnloaded(x, y, z);
+  return type === undefined || (type !== null && isSolidBlock(type));
 }
 
-/* ===================== Grid Snap ===================== */
-const snapToGrid = (v) => Math.floor(v / cubeSize) * cubeSize + cubeSize / 2;
+function isFluidCell(x, y, z) {
+  if (unloadedInReplay(x, y, z)) return false;
+  const type = getCellType(x, y, z);
+  if (type === undefined) recordUnloaded(x, y, z);
+  return fluidLevel(type) >= 0;
+}
 
 /* ===================== Prevent Right-click ===================== */
 window.addEventListener("contextmenu", (e) => e.preventDefault());
@@ -411,9 +1024,56 @@ function getChunkAtWorld(x, y, z) {
   return { key, rec: chunks.get(key) };
 }
 
+const sameCell = (x, y, z) => (c) => c[0] === x && c[1] === y && c[2] === z;
+
+// Block data for a chunk that is not built. Null while it still sits in
+// IndexedDB or on the multiplayer server.
+function getChunkDataForEdit(key) {
+  if (chunkData.has(key)) return chunkData.get(key);
+  if (net) {
+    requestServerChunk(key);
+    return null;
+  }
+  if (savedChunkKeys.has(key)) return null;
+  const [cx, cy, cz] = parseChunkKey(key);
+  const arr = generateWorldChunk(worldTerrain, cx, cy, cz);
+  chunkData.set(key, arr);
+  return arr;
+}
+
+// Every applied edit, whichever path it took
+function onBlockChanged(x, y, z, before, after) {
+  blockSim.markAround(Math.floor(x), Math.floor(y), Math.floor(z));
+  editHistory.record({ x, y, z, before, after });
+  recordEdit(x, y, z, after);
+  sendEdit(x, y, z, after);
+  emitGameEvent("blockchange", { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z), before, after });
+}
+
+// Edits to unloaded chunks (e.g. from undo) only touch chunkData and show up
+// when the chunk is built again
+function addBlockToChunkData(key, x, y, z, type) {
+  const arr = getChunkDataForEdit(key);
+  if (!arr || arr.some(sameCell(x, y, z))) return;
+  arr.push([x, y, z, type]);
+  dropCachedChunk(key);
+  markChunkDirty(key);
+  onBlockChanged(x, y, z, null, type);
+}
+
+function removeBlockFromChunkData(key, x, y, z) {
+  const arr = getChunkDataForEdit(key);
+  const block = arr && arr.find(sameCell(x, y, z));
+  if (!block || isUnbreakable(block[3])) return;
+  chunkData.set(key, arr.filter((c) => c !== block));
+  dropCachedChunk(key);
+  markChunkDirty(key);
+  onBlockChanged(x, y, z, block[3], null);
+}
+
 function addBlockAt(x, y, z, type) {
   const { key, rec } = getChunkAtWorld(x, y, z);
-  if (!rec) return; // should exist (active chunk)
+  if (!rec) return addBlockToChunkData(key, x, y, z, type);
   const ck = getCellKey({ x, y, z });
   if (rec.occupancy.has(ck)) return; // already occupied
 
@@ -424,11 +1084,20 @@ function addBlockAt(x, y, z, type) {
   if (!chunkData.has(key)) chunkData.set(key, []);
   const arr = chunkData.get(key);
   arr.push([x, y, z, type]);
+  markChunkDirty(key);
+  onBlockChanged(x, y, z, null, type);
+  relightCell(x, y, z);
+
+  if (meshMode === "greedy") {
+    remeshAroundCell(x, y, z);
+    return;
+  }
 
   // Ensure capacity and write instance
-  ensureCapacityForType(rec, type, rec.counts[type] + 1);
+  ensureCapacityForType(rec, type, (rec.counts[type] ?? 0) + 1);
   const idx = rec.counts[type];
   setInstanceAt(rec, type, idx, x, y, z);
+  tintInstance(rec.meshes[type], idx, ck);
   rec.cellsByIndex[type][idx] = ck;
   rec.indexMaps[type].set(ck, idx);
   rec.counts[type] += 1;
@@ -437,11 +1106,30 @@ function addBlockAt(x, y, z, type) {
 
 function removeBlockAt(x, y, z) {
   const { key, rec } = getChunkAtWorld(x, y, z);
-  if (!rec) return;
+  if (!rec) return removeBlockFromChunkData(key, x, y, z);
   const ck = getCellKey({ x, y, z });
   const type = rec.occupancy.get(ck);
-  if (!type) return;
+  if (!type || isUnbreakable(type)) return; // bedrock stays whatever asks
+
+  if (meshMode === "instanced") removeInstance(rec, type, ck);
+  rec.occupancy.delete(ck);
+
+  // Update persistent data
+  if (chunkData.has(key)) {
+    const arr = chunkData.get(key);
+    chunkData.set(
+      key,
+      arr.filter((c) => !(c[0] === x && c[1] === y && c[2] === z))
+    );
+    markChunkDirty(key);
+  }
+  onBlockChanged(x, y, z, type, null);
+  relightCell(x, y, z);
 
+  if (meshMode === "greedy") remeshAroundCell(x, y, z);
+}
+
+function removeInstance(rec, type, ck) {
   // Swap-remove from InstancedMesh
   const idx = rec.indexMaps[type].get(ck);
   const last = rec.counts[type] - 1;
@@ -449,6 +1137,9 @@ function removeBlockAt(x, y, z) {
     // Move last instance into idx
     rec.meshes[type].getMatrixAt(last, tmpMat);
     rec.meshes[type].setMatrixAt(idx, tmpMat);
+    rec.meshes[type].getColorAt(last, tmpColor);
+    rec.meshes[type].setColorAt(idx, tmpColor);
+    rec.meshes[type].instanceColor.needsUpdate = true;
     const lastCell = rec.cellsByIndex[type][last];
     rec.cellsByIndex[type][idx] = lastCell;
     rec.indexMaps[type].set(lastCell, idx);
@@ -460,138 +1151,2538 @@ function removeBlockAt(x, y, z) {
   // Clean maps
   rec.indexMaps[type].delete(ck);
   rec.cellsByIndex[type].length = rec.counts[type];
-  rec.occupancy.delete(ck);
-
-  // Update persistent data
-  if (chunkData.has(key)) {
-    const arr = chunkData.get(key);
-    chunkData.set(
-      key,
-      arr.filter((c) => !(c[0] === x && c[1] === y && c[2] === z))
-    );
-  }
-}
-
-/* ===== Get nearby instanced meshes for raycasting ===== */
-function getNearbyInstancedMeshes(range = 2) {
-  const px = Math.floor(camera.position.x / CHUNK_SIZE);
-  const pz = Math.floor(camera.position.z / CHUNK_SIZE);
-  const nearby = [];
-  for (let dx = -range; dx <= range; dx++) {
-    for (let dz = -range; dz <= range; dz++) {
-      const key = getChunkKeyFromCoords(px + dx, 0, pz + dz);
-      const rec = chunks.get(key);
-      if (!rec) continue;
-      if (rec.meshes.green && rec.counts.green > 0) nearby.push(rec.meshes.green);
-      if (rec.meshes.brown && rec.counts.brown > 0) nearby.push(rec.meshes.brown);
-    }
-  }
-  return nearby;
 }
 
-/* ===== Helpers to get instance world position by (mesh, instanceId) ===== */
-function getInstanceCenter(mesh, instanceId, outVec3) {
-  mesh.getMatrixAt(instanceId, tmpMat);
-  outVec3.setFromMatrixPosition(tmpMat);
-  return outVec3;
+/* ===================== Crosshair Target ===================== */
+// Block under the crosshair and the empty cell in front of the face that was
+// hit, or null when nothing is within reach. Only built chunks count, as
+// only they are on screen.
+function getTarget() {
+  forward.set(0, 0, -1).applyQuaternion(camera.quaternion);
+  // Flowing water does not stop the crosshair; a source can still be taken
+  const hit = raycastVoxels(camera.position, forward, settings.reach, (x, y, z) => {
+    const type = getChunkRecordAtCell(x, y, z)?.occupancy.get(`${x},${y},${z}`);
+    return !!type && fluidLevel(type) <= 0;
+  });
+  if (!hit) return null;
+
+  const [x, y, z] = hit.cell;
+  const normal = new THREE.Vector3(...hit.normal);
+  const hitPos = new THREE.Vector3(x + 0.5, y + 0.5, z + 0.5);
+  const placePos = hitPos.clone().add(normal);
+  return { hitPos, placePos, normal, distance: hit.distance };
 }
 
 /* ===================== Mouse interactions ===================== */
 window.addEventListener("mousedown", (e) => {
-  forward.set(0, 0, -1).applyQuaternion(camera.quaternion);
-  raycaster.set(camera.position, forward);
-
-  const intersects = raycaster.intersectObjects(getNearbyInstancedMeshes(2), false);
-  if (intersects.length === 0) return;
-  const hit = intersects[0];
+  if (!controls.isLocked || replay) return; // clicks on the overlay are not edits
+  const target = getTarget();
+  if (!target) return;
 
-  // hit.object is an InstancedMesh, hit.instanceId is the block index
-  const hitPos = getInstanceCenter(hit.object, hit.instanceId, new THREE.Vector3());
+  if (builderMode) {
+    pickSelectionCorner(e, target);
+    return;
+  }
 
+  // Resolved now against what the player sees, applied on the next tick
   if (e.button === 2) {
-    // place: move one unit along face normal and snap
-    const normal = hit.face.normal.clone();
-    const pos = hitPos.clone().addScaledVector(normal, cubeSize);
-    pos.set(snapToGrid(pos.x), snapToGrid(pos.y), snapToGrid(pos.z));
-    addBlockAt(pos.x, pos.y, pos.z, "brown");
+    // place
+    const { x, y, z } = target.placePos;
+    const type = hotbar[selectedSlot];
+    if (survival && (survival.dead || !takeItem(survival, type))) return;
+    // Flowing water gives way to whatever is placed in it
+    if (fluidLevel(getCellType(Math.floor(x), Math.floor(y), Math.floor(z))) > 0) {
+      pendingActions.push({ kind: "destroy", x, y, z });
+    }
+    pendingActions.push({ kind: "place", x, y, z, type });
+  } else if (e.button === 0 && survival) {
+    miningHeld = true; // see updateMining
   } else if (e.button === 0) {
     // destroy block
-    removeBlockAt(hitPos.x, hitPos.y, hitPos.z);
+    const { x, y, z } = target.hitPos;
+    pendingActions.push({ kind: "destroy", x, y, z });
+  }
+});
+
+window.addEventListener("mouseup", (e) => {
+  if (e.button === 0) miningHeld = false;
+});
+
+/* ===================== Survival ===================== */
+// Worlds created with Survival ticked: blocks take their breakTime to mine and
+// drop as items, placing uses them up, hard landings hurt and dying drops
+// everything. What the player may do is settled when input is sampled, so a
+// tick only applies actions and a replay needs none of this state.
+const DROP_SIZE = 0.25;
+const dropGeo = new THREE.BoxGeometry(DROP_SIZE, DROP_SIZE, DROP_SIZE);
+
+let survival = null; // see survival.js; null outside survival worlds
+let miningHeld = false; // destroy button down in a survival world
+const mining = { cell: null, progress: 0, breakTime: 0 }; // block being mined, seconds spent and needed
+const dropMeshes = new Map(); // drop id -> Mesh
+
+const survivalHud = document.getElementById("survivalHud");
+const miningBar = document.getElementById("miningBar");
+const deathScreen = document.getElementById("deathScreen");
+
+// Holding destroy on a block mines it; the destroy action is queued once the
+// block's breakTime has passed. Looking away starts over.
+function updateMining(dt) {
+  const target = miningHeld && !survival.dead ? getTarget() : null;
+  const cell = target && getCellKey(target.hitPos);
+  if (cell !== mining.cell) {
+    mining.cell = cell;
+    mining.progress = 0;
   }
+  if (!target) return;
+  const { x, y, z } = target.hitPos;
+  const type = getCellType(Math.floor(x), Math.floor(y), Math.floor(z));
+  if (!type) return;
+  mining.breakTime = getBlock(type).breakTime;
+  mining.progress += dt;
+  if (mining.progress < mining.breakTime) return;
+  pendingActions.push({ kind: "destroy", x, y, z });
+  mining.cell = null;
+  mining.progress = 0;
+}
+
+// Mined blocks pop out as items; flowing water is just gone
+function destroyAndDrop(x, y, z) {
+  const cell = [Math.floor(x), Math.floor(y), Math.floor(z)];
+  const type = getCellType(...cell);
+  removeBlockAt(x, y, z);
+  if (type && fluidLevel(type) <= 0 && getCellType(...cell) === null) spawnDrop(survival, type, x, y, z);
+}
+
+function hurtPlayer(amount) {
+  if (!damage(survival, amount)) return;
+  const { x, y, z } = player.position;
+  dropInventory(survival, x, y, z);
+  miningHeld = false;
+}
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (!isBound("respawn", e.code) || !survival?.dead || !controls.isLocked) return;
+  if (pendingActions.some((a) => a.kind === "respawn")) return;
+  pendingActions.push({ kind: "respawn", position: spawnPosition() });
 });
 
+// Health and inventory are kept on the world record
+async function saveSurvival(name) {
+  survival.dirty = false;
+  const snapshot = survivalSnapshot(survival);
+  try {
+    const world = await getWorld(name);
+    if (world) await putWorld({ ...world, player: snapshot });
+  } catch (err) {
+    console.error("Failed to save survival state", err);
+  }
+}
+
+function updateDropMeshes(time) {
+  const alive = new Set();
+  for (const drop of survival?.drops ?? []) {
+    alive.add(drop.id);
+    let mesh = dropMeshes.get(drop.id);
+    if (!mesh) {
+      mesh = new THREE.Mesh(dropGeo, getBlockMaterial(drop.type));
+      mesh.castShadow = mesh.receiveShadow = true;
+      scene.add(mesh);
+      dropMeshes.set(drop.id, mesh);
+    }
+    // Spin and bob above where the item actually lies
+    const { x, y, z } = drop.body.position;
+    mesh.position.set(x, y + DROP_SIZE / 2 + 0.1 * (1 + Math.sin(time * 0.003 + drop.id)), z);
+    mesh.rotation.y = time * 0.002 + drop.id;
+  }
+  for (const [id, mesh] of dropMeshes) {
+    if (alive.has(id)) continue;
+    scene.remove(mesh);
+    dropMeshes.delete(id);
+  }
+}
+
+function setText(el, text) {
+  if (el.textContent !== text) el.textContent = text;
+}
+
+function updateSurvivalHud() {
+  survivalHud.style.display = survival ? "" : "none";
+  deathScreen.style.display = survival?.dead ? "" : "none";
+  hotbarSlots.forEach((slot, i) => {
+    const count = survival ? survival.inventory[hotbar[i]] ?? 0 : null;
+    const text = count ? String(count) : "";
+    if (slot.dataset.count !== text) slot.dataset.count = text;
+    slot.classList.toggle("empty", count === 0);
+  });
+  if (!survival) return;
+
+  const type = hotbar[selectedSlot];
+  setText(
+    survivalHud,
+    `♥ ${survival.health} / ${SURVIVAL_TUNING.maxHealth}\n${getBlock(type).name} × ${survival.inventory[type] ?? 0}`
+  );
+  miningBar.style.display = mining.progress > 0 ? "" : "none";
+  miningBar.firstElementChild.style.width = `${Math.min(100, (mining.progress / mining.breakTime) * 100)}%`;
+  setText(deathScreen.querySelector("small"), `Press ${boundKeyLabel("respawn")} to respawn`);
+}
+
 /* ===================== Ghost Cube Update ===================== */
 function updateGhostCube() {
-  if (!controls.isLocked || !ghostEnabled) {
+  if (!controls.isLocked || !(ghostEnabled || builderMode)) {
     ghostCube.visible = false;
     return;
   }
 
-  forward.set(0, 0, -1).applyQuaternion(camera.quaternion);
-  raycaster.set(camera.position, forward);
-
-  const intersects = raycaster.intersectObjects(getNearbyInstancedMeshes(2), false);
-  if (intersects.length === 0) {
+  const target = getTarget();
+  if (!target) {
     ghostCube.visible = false;
     return;
   }
 
-  const hit = intersects[0];
-  const hitPos = getInstanceCenter(hit.object, hit.instanceId, new THREE.Vector3());
-  const normal = hit.face.normal.clone();
-
   ghostCube.visible = true;
-  ghostCube.position.copy(hitPos).addScaledVector(normal, cubeSize);
-  ghostCube.position.set(
-    snapToGrid(ghostCube.position.x),
-    snapToGrid(ghostCube.position.y),
-    snapToGrid(ghostCube.position.z)
-  );
+  ghostCube.position.copy(target.placePos);
+}
+
+/* ===================== Builder Mode ===================== */
+// B toggles builder mode. Clicks then pick selection corners instead of
+// editing: left sets corner A, right sets corner B, both at the ghost cell
+// (hold Ctrl to pick the block under the crosshair). Every operation runs
+// through addBlockAt/removeBlockAt as a single undo step.
+const MAX_SELECTION_VOLUME = 32768;
+
+let builderMode = false;
+const selection = { a: null, b: null }; // cell-centre Vector3s
+let clipboard = null; // { size: [x, y, z], blocks: Array<[dx, dy, dz, type]> }
+
+const selectionBox = new THREE.Box3();
+const selectionHelper = new THREE.Box3Helper(selectionBox, 0x00ffff);
+selectionHelper.visible = false;
+scene.add(selectionHelper);
+
+const builderInfo = document.getElementById("builderInfo");
+
+function pickSelectionCorner(e, target) {
+  const cell = (e.ctrlKey ? target.hitPos : target.placePos).clone();
+  if (e.button === 0) selection.a = cell;
+  else if (e.button === 2) selection.b = cell;
+  updateSelectionHelper();
 }
 
-/* ===================== Chunk Loading / Procedural Generation ===================== */
-function loadOrGenerateChunk(cx, cz) {
-  const key = getChunkKeyFromCoords(cx, 0, cz);
-  if (chunks.has(key)) return;
+// Integer cell bounds of the selection, inclusive
+function getSelectionBounds() {
+  const { a, b } = selection;
+  if (!a) return null;
+  const other = b ?? a;
+  return {
+    min: [Math.floor(Math.min(a.x, other.x)), Math.floor(Math.min(a.y, other.y)), Math.floor(Math.min(a.z, other.z))],
+    max: [Math.floor(Math.max(a.x, other.x)), Math.floor(Math.max(a.y, other.y)), Math.floor(Math.max(a.z, other.z))]
+  };
+}
 
-  let arr;
-  if (chunkData.has(key)) {
-    arr = chunkData.get(key);
-  } else {
-    arr = generateGroundArrayForChunk(cx, cz);
-    chunkData.set(key, arr.slice());
+function updateSelectionHelper() {
+  const bounds = getSelectionBounds();
+  selectionHelper.visible = builderMode && !!bounds;
+  if (bounds) {
+    selectionBox.min.set(...bounds.min);
+    selectionBox.max.set(bounds.max[0] + 1, bounds.max[1] + 1, bounds.max[2] + 1);
+    // Slightly larger so the lines are not hidden inside block faces
+    selectionBox.expandByScalar(0.01);
   }
-  buildChunkFromArray(key, arr);
+  updateBuilderInfo();
 }
 
-function unloadChunk(key) {
-  const rec = chunks.get(key);
-  if (!rec) return;
-  removeChunkFromScene(rec);
-  chunks.delete(key);
+function updateBuilderInfo() {
+  builderInfo.style.display = builderMode ? "" : "none";
+  if (!builderMode) return;
+  const bounds = getSelectionBounds();
+  const size = bounds ? bounds.max.map((v, i) => v - bounds.min[i] + 1).join("×") : "none";
+  const clip = clipboard ? ` | clipboard ${clipboard.size.join("×")}` : "";
+  const keys = BUILDER_OPS.map(([action, word]) => `${boundKeyLabel(action)} ${word}`).join(", ");
+  builderInfo.textContent = `Builder: selection ${size}${clip} | ${keys}`;
 }
 
-function updateChunks() {
-  const px = Math.floor(camera.position.x / CHUNK_SIZE);
-  const pz = Math.floor(camera.position.z / CHUNK_SIZE);
-  const active = new Set();
+// Block type at a cell centre, from the built chunk or its chunkData
+const getBlockTypeAt = (x, y, z) => getCellType(Math.floor(x), Math.floor(y), Math.floor(z)) ?? null;
 
-  for (let dx = -RENDER_DISTANCE; dx <= RENDER_DISTANCE; dx++) {
-    for (let dz = -RENDER_DISTANCE; dz <= RENDER_DISTANCE; dz++) {
-      const cx = px + dx;
-      const cz = pz + dz;
-      const key = getChunkKeyFromCoords(cx, 0, cz);
-      active.add(key);
-      if (!chunks.has(key)) loadOrGenerateChunk(cx, cz);
-    }
-  }
+// Every cell of a selection is walked on the main thread, so big ones are refused
+function withinVolumeLimit({ min, max }) {
+  const volume = (max[0] - min[0] + 1) * (max[1] - min[1] + 1) * (max[2] - min[2] + 1);
+  if (volume <= MAX_SELECTION_VOLUME) return true;
+  console.warn(`Selection of ${volume} blocks exceeds the ${MAX_SELECTION_VOLUME} limit`);
+  return false;
+}
 
-  // Unload far chunks
+// Calls fn(x, y, z, onShell) for every cell centre in the selection
+function forEachSelectedCell(fn) {
+  const bounds = getSelectionBounds();
+  if (!bounds || !withinVolumeLimit(bounds)) return false;
+  const { min, max } = bounds;
+  withEditGroup(() => {
+    for (let x = min[0]; x <= max[0]; x++) {
+      for (let y = min[1]; y <= max[1]; y++) {
+        for (let z = min[2]; z <= max[2]; z++) {
+          const onShell =
+            x === min[0] || x === max[0] || y === min[1] || y === max[1] || z === min[2] || z === max[2];
+          fn(x + 0.5, y + 0.5, z + 0.5, onShell);
+        }
+      }
+    }
+  });
+  return true;
+}
+
+const selectedType = () => hotbar[selectedSlot];
+
+function deselect() {
+  selection.a = selection.b = null;
+  updateSelectionHelper();
+}
+
+// Like fillBox, leaves cells that already hold `type` alone instead of
+// removing and re-adding them
+function setSelectedCell(x, y, z, type) {
+  if (getCellType(Math.floor(x), Math.floor(y), Math.floor(z)) === (type ?? null)) return;
+  setBlockAt(x, y, z, type);
+}
+
+function fillSelection() {
+  forEachSelectedCell((x, y, z) => setSelectedCell(x, y, z, selectedType()));
+}
+
+function clearSelection() {
+  forEachSelectedCell((x, y, z) => removeBlockAt(x, y, z));
+}
+
+function hollowSelection() {
+  forEachSelectedCell((x, y, z, onShell) => setSelectedCell(x, y, z, onShell ? selectedType() : null));
+}
+
+// Replaces the type under the crosshair with the hotbar selection
+function replaceInSelection() {
+  const target = getTarget();
+  if (!target) return;
+  const from = getBlockTypeAt(target.hitPos.x, target.hitPos.y, target.hitPos.z);
+  const to = selectedType();
+  if (!from || from === to) return;
+  forEachSelectedCell((x, y, z) => {
+    if (getBlockTypeAt(x, y, z) === from) setBlockAt(x, y, z, to);
+  });
+}
+
+function copySelection() {
+  const bounds = getSelectionBounds();
+  if (!bounds || !withinVolumeLimit(bounds)) return;
+  const { min, max } = bounds;
+  const blocks = [];
+  for (let x = min[0]; x <= max[0]; x++) {
+    for (let y = min[1]; y <= max[1]; y++) {
+      for (let z = min[2]; z <= max[2]; z++) {
+        const type = getCellType(x, y, z);
+        if (type === undefined) {
+          console.warn("Part of the selection has not loaded yet");
+          return;
+        }
+        if (type) blocks.push([x - min[0], y - min[1], z - min[2], type]);
+      }
+    }
+  }
+  clipboard = { size: max.map((v, i) => v - min[i] + 1), blocks };
+  updateBuilderInfo();
+}
+
+// Quarter turn around Y, keeping offsets positive
+function rotateClipboard() {
+  if (!clipboard) return;
+  const [sx, sy, sz] = clipboard.size;
+  clipboard = {
+    size: [sz, sy, sx],
+    blocks: clipboard.blocks.map(([dx, dy, dz, type]) => [sz - 1 - dz, dy, dx, type])
+  };
+  updateBuilderInfo();
+}
+
+// Pastes with the clipboard's minimum corner at the ghost cell
+function pasteClipboard() {
+  const target = getTarget();
+  if (!clipboard || !target) return;
+  const { x, y, z } = target.placePos;
+  withEditGroup(() => {
+    for (const [dx, dy, dz, type] of clipboard.blocks) setBlockAt(x + dx, y + dy, z + dz, type);
+  });
+}
+
+// [action, hint word, operation]
+const BUILDER_OPS = [
+  ["fill", "fill", fillSelection],
+  ["clear", "clear", clearSelection],
+  ["hollow", "hollow", hollowSelection],
+  ["replace", "replace", replaceInSelection],
+  ["copy", "copy", copySelection],
+  ["paste", "paste", pasteClipboard],
+  ["rotate", "rotate", rotateClipboard],
+  ["deselect", "deselect", deselect]
+];
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (isBound("builder", e.code) && !replay && !survival) {
+    builderMode = !builderMode;
+    updateSelectionHelper();
+    return;
+  }
+  if (!builderMode || !controls.isLocked || e.ctrlKey || e.metaKey) return;
+  const op = BUILDER_OPS.find(([action]) => isBound(action, e.code));
+  if (op) op[2]();
+});
+
+/* ===================== Chunk Workers ===================== */
+// Generation and greedy meshing run in a worker pool. Finished chunks wait in
+// readyChunks and are swapped into the scene a few per frame.
+const WORKER_COUNT = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+const CHUNK_UPLOAD_BUDGET = 2; // finished chunks swapped in per frame
+
+const idleWorkers = [];
+const chunkJobs = new Set(); // keys being generated or waiting to be swapped in
+const lodJobs = new Set(); // the same for LOD chunks
+const impostorJobs = new Set(); // and impostor columns
+const pendingJobs = { chunk: chunkJobs, lod: lodJobs, impostor: impostorJobs }; // by job kind
+const readyChunks = [];
+let worldEpoch = 0; // bumped on world switch so stale results are dropped
+
+function onWorkerMessage(worker, msg) {
+  worker.job = null;
+  idleWorkers.push(worker);
+  if (msg.epoch === worldEpoch) readyChunks.push(msg);
+}
+
+for (let i = 0; i < WORKER_COUNT; i++) {
+  const worker = new Worker(new URL("./chunkWorker.js", import.meta.url), { type: "module" });
+  worker.job = null;
+  worker.onmessage = (e) => onWorkerMessage(worker, e.data);
+  worker.onerror = (e) => {
+    console.error("Chunk worker failed", e);
+    if (worker.job && worker.job.epoch === worldEpoch) pendingJobs[worker.job.kind]?.delete(worker.job.key);
+    worker.job = null;
+    idleWorkers.push(worker);
+  };
+  idleWorkers.push(worker);
+}
+
+function postJob(job, transfers = []) {
+  const worker = idleWorkers.pop();
+  job.epoch = worldEpoch;
+  job.size = CHUNK_SIZE;
+  worker.job = job;
+  worker.postMessage(job, transfers);
+}
+
+// False while the chunk's data is still coming from IndexedDB or the server
+function dispatchChunkJob(key) {
+  const job = { kind: "chunk", key, terrain: worldTerrain };
+  if (chunkData.has(key)) {
+    Object.assign(job, packCells(chunkData.get(key)));
+  } else if (net) {
+    requestServerChunk(key);
+    return false;
+  } else if (savedChunkKeys.has(key)) {
+    requestSavedChunk(key);
+    return false;
+  }
+  chunkJobs.add(key);
+  postJob(job, job.cells ? [job.cells.buffer, job.types.buffer] : []);
+  return true;
+}
+
+// Remeshes a loaded chunk against its current neighbours and light off the
+// main thread
+function dispatchMeshJob(key, rec) {
+  const { grid, palette, light } = buildChunkGrid(key, rec);
+  postJob({ kind: "mesh", key, grid, palette, light, version: ++rec.meshVersion }, [grid.buffer, light.buffer]);
+}
+
+function chunkDistanceSq(key) {
+  const [cx, cy, cz] = parseChunkKey(key);
+  const dx = cx + 0.5 - camera.position.x / CHUNK_SIZE;
+  const dy = cy + 0.5 - camera.position.y / CHUNK_SIZE;
+  const dz = cz + 0.5 - camera.position.z / CHUNK_SIZE;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+const readyDistanceSq = (msg) => (msg.kind === "impostor" ? columnDistanceSq(msg.key) : chunkDistanceSq(msg.key));
+
+// lod: the rings updateLod wants filled
+function uploadReadyChunks(active, lod) {
+  readyChunks.sort((a, b) => readyDistanceSq(a) - readyDistanceSq(b));
+  let budget = CHUNK_UPLOAD_BUDGET;
+  while (budget > 0 && readyChunks.length) {
+    const msg = readyChunks.shift();
+
+    if (msg.kind === "lod" || msg.kind === "impostor") {
+      pendingJobs[msg.kind].delete(msg.key);
+      if (msg.kind === "lod" && lod.chunks.has(msg.key)) applyLodMesh(msg.key, msg.mesh);
+      else if (msg.kind === "impostor" && lod.columns.has(msg.key)) applyImpostor(msg.key, msg.impostor);
+      else continue;
+      budget--;
+      continue;
+    }
+
+    if (msg.kind === "mesh") {
+      const rec = chunks.get(msg.key);
+      // Skip results an edit has already superseded
+      if (!rec || rec.meshVersion !== msg.version || meshMode !== "greedy") continue;
+      applyGreedyMeshData(msg.key, rec, msg.mesh);
+      budget--;
+      continue;
+    }
+
+    chunkJobs.delete(msg.key);
+    if (!active.has(msg.key) || chunks.has(msg.key)) continue;
+    let arr = chunkData.get(msg.key);
+    if (!arr) {
+      arr = unpackCells(msg);
+      chunkData.set(msg.key, arr);
+    }
+    buildChunkFromArray(msg.key, arr);
+    budget--;
+  }
+}
+
+function resetChunkWorkers() {
+  worldEpoch++;
+  chunkJobs.clear();
+  lodJobs.clear();
+  impostorJobs.clear();
+  readyChunks.length = 0;
+}
+
+/* ===================== Chunk Loading ===================== */
+// The record goes to chunkCache, meshes and all, unless `discard` is set
+function unloadChunk(key, discard = false) {
+  const rec = chunks.get(key);
+  if (!rec) return;
+  removeChunkFromScene(rec);
+  chunks.delete(key);
+  remeshQueue.delete(key);
+  relightQueue.delete(key);
+  lightEngine.removeChunk(...parseChunkKey(key));
+  despawnMobs(key);
+  if (discard) disposeChunkRecord(rec);
+  else cacheChunkRecord(key, rec);
+}
+
+function updateChunks() {
+  const px = Math.floor(camera.position.x / CHUNK_SIZE);
+  const py = Math.floor(camera.position.y / CHUNK_SIZE);
+  const pz = Math.floor(camera.position.z / CHUNK_SIZE);
+  const active = new Set();
+  const missing = [];
+
+  const range = settings.renderDistance;
+  for (let dx = -range; dx <= range; dx++) {
+    for (let dy = -VERTICAL_RENDER_DISTANCE; dy <= VERTICAL_RENDER_DISTANCE; dy++) {
+      for (let dz = -range; dz <= range; dz++) {
+        const key = getChunkKeyFromCoords(px + dx, py + dy, pz + dz);
+        active.add(key);
+        if (!chunks.has(key) && !chunkJobs.has(key)) missing.push(key);
+      }
+    }
+  }
+
+  // Nearest chunks first, as long as workers are free
+  missing.sort((a, b) => chunkDistanceSq(a) - chunkDistanceSq(b));
+  for (const key of missing) {
+    if (chunkCache.has(key)) {
+      restoreChunk(key);
+      continue;
+    }
+    if (!idleWorkers.length) break;
+    dispatchChunkJob(key);
+  }
+
+  const lod = updateLod(px, py, pz);
+  uploadReadyChunks(active, lod);
+
+  // Unload far chunks, once their LOD stand-in is there
   for (const [key] of chunks) {
-    if (!active.has(key)) unloadChunk(key);
+    if (!active.has(key) && !(lod.chunks.has(key) && !lodChunks.has(key))) unloadChunk(key);
+  }
+  dropStaleLod(active, lod);
+  checkChunkMemory();
+}
+
+/* ===================== Chunk Memory ===================== */
+// Chunks that go out of range keep their built record, GPU buffers included,
+// in a small LRU, so walking back only has to put them in the scene again.
+// Block data stays in chunkData up to a budget; past it, the farthest chunks
+// that are not built are dropped and fetched again when needed: generated
+// ones from terrain, saved ones from IndexedDB, server ones from the server.
+// Edited chunks are only dropped once they are saved.
+const CHUNK_CACHE_SIZE = 48; // built records kept out of range
+const CHUNK_DATA_BUDGET = 1500000; // blocks held in chunkData
+const MEMORY_CHECK_INTERVAL = 60; // updateChunks calls between checks
+
+const chunkCache = new Map(); // key -> ChunkRecord, least recently unloaded first
+let chunkDataBlocks = 0; // as of the last check
+let memoryCheckIn = 0;
+
+function disposeChunkRecord(rec) {
+  removeChunkFromScene(rec);
+  for (const mesh of Object.values(rec.meshes)) mesh?.dispose();
+  disposeGreedyMeshes(rec);
+}
+
+function cacheChunkRecord(key, rec) {
+  chunkCache.delete(key);
+  chunkCache.set(key, rec);
+  for (const [oldKey, old] of chunkCache) {
+    if (chunkCache.size <= CHUNK_CACHE_SIZE) break;
+    chunkCache.delete(oldKey);
+    disposeChunkRecord(old);
+  }
+}
+
+// For edits that reach the chunk's data while it is unloaded
+function dropCachedChunk(key) {
+  const rec = chunkCache.get(key);
+  if (!rec) return;
+  chunkCache.delete(key);
+  disposeChunkRecord(rec);
+}
+
+function clearChunkCache() {
+  for (const rec of chunkCache.values()) disposeChunkRecord(rec);
+  chunkCache.clear();
+}
+
+// buildChunkFromArray without the building
+function restoreChunk(key) {
+  const rec = chunkCache.get(key);
+  chunkCache.delete(key);
+  cellLookupCache.delete(key);
+  addChunkToScene(key, rec);
+  chunks.set(key, rec);
+  lightChunk(key, rec);
+  simChunk(key, rec);
+  spawnMobs(key);
+  if (meshMode !== "greedy") {
+    tintInstances(rec);
+    relightQueue.delete(key);
+  }
+}
+
+// Chunks that undo or redo may still edit. Their data stays, or the edit
+// would have nothing to apply to until the chunk is read back.
+function historyChunkKeys() {
+  const keys = new Set();
+  editHistory.forEachOp((op) => keys.add(getChunkKey(op)));
+  return keys;
+}
+
+// Whether the chunk's blocks can be had again after dropping them
+function canDropChunkData(key, inHistory) {
+  if (chunks.has(key) || chunkCache.has(key) || dirtyChunks.has(key) || recorderNeeds(key)) return false;
+  if (inHistory.has(key)) return false;
+  return !!net || savedChunkKeys.has(key) || !chunkRevisions.has(key);
+}
+
+function checkChunkMemory() {
+  if (--memoryCheckIn > 0) return;
+  memoryCheckIn = MEMORY_CHECK_INTERVAL;
+  chunkDataBlocks = 0;
+  for (const arr of chunkData.values()) chunkDataBlocks += arr.length;
+  if (chunkDataBlocks <= CHUNK_DATA_BUDGET) return;
+  if (!currentWorld && !net) return; // a replay's chunks exist nowhere else
+
+  const inHistory = historyChunkKeys();
+  const droppable = [...chunkData.keys()].filter((key) => canDropChunkData(key, inHistory));
+  droppable.sort((a, b) => chunkDistanceSq(b) - chunkDistanceSq(a));
+  for (const key of droppable) {
+    if (chunkDataBlocks <= CHUNK_DATA_BUDGET) break;
+    chunkDataBlocks -= chunkData.get(key).length;
+    chunkData.delete(key);
+    cellLookupCache.delete(key);
+  }
+  // Saved, edited chunks become droppable at the next check
+  if (chunkDataBlocks > CHUNK_DATA_BUDGET && dirtyChunks.size) flushDirtyChunks();
+}
+
+/* ===================== Level of Detail ===================== */
+// Past the full-detail chunks come rings of cheaper stand-ins, built by the
+// workers (see lod.js). Rings are Chebyshev distances in chunks:
+//   renderDistance  full chunks: editable, lit, casting shadows
+//   lodDistance     chunks downsampled LOD_SCALE times
+//   farDistance     one heightmap impostor per chunk column
+// A stand-in stays up until whatever replaces it has been built, so nothing
+// blinks out while the player moves.
+const LOD_SCALE = 2;
+const LOD_VERTICAL = 2; // LOD chunks above/below the player's chunk
+const IMPOSTOR_STEP = 4; // blocks between heightmap samples
+
+const lodChunks = new Map(); // key -> { meshes, box }
+const impostors = new Map(); // "cx,cz" -> { mesh, box }
+const impostorMat = litMaterial(new THREE.MeshStandardMaterial({ vertexColors: true }));
+
+const getColumnKey = (cx, cz) => `${cx},${cz}`;
+
+// In chunks; each ring reaches at least as far as the one inside it
+function viewRanges() {
+  const near = settings.renderDistance;
+  const lod = Math.max(near, settings.lodDistance);
+  return { near, lod, far: Math.max(lod, settings.farDistance) };
+}
+
+function chunkBox(key, out = new THREE.Box3()) {
+  const [cx, cy, cz] = parseChunkKey(key);
+  out.min.set(cx, cy, cz).multiplyScalar(CHUNK_SIZE);
+  out.max.set(cx + 1, cy + 1, cz + 1).multiplyScalar(CHUNK_SIZE);
+  return out;
+}
+
+function columnDistanceSq(key) {
+  const [cx, cz] = parseChunkKey(key);
+  const dx = cx + 0.5 - camera.position.x / CHUNK_SIZE;
+  const dz = cz + 0.5 - camera.position.z / CHUNK_SIZE;
+  return dx * dx + dz * dz;
+}
+
+// Like dispatchChunkJob, except that server worlds fall back on their
+// terrain: far chunks are not worth a request
+function dispatchLodJob(key) {
+  const job = { kind: "lod", key, terrain: worldTerrain, scale: LOD_SCALE };
+  if (chunkData.has(key)) {
+    Object.assign(job, packCells(chunkData.get(key)));
+  } else if (!net && savedChunkKeys.has(key)) {
+    requestSavedChunk(key);
+    return;
+  }
+  lodJobs.add(key);
+  postJob(job, job.cells ? [job.cells.buffer, job.types.buffer] : []);
+}
+
+function dispatchImpostorJob(key) {
+  impostorJobs.add(key);
+  postJob({ kind: "impostor", key, terrain: worldTerrain, step: IMPOSTOR_STEP });
+}
+
+// Mesh data in coarse cells, drawn scaled up; lit by the sky alone
+function applyLodMesh(key, data) {
+  removeLod(key);
+  const [cx, cy, cz] = parseChunkKey(key);
+  const meshes = [];
+  for (const type in data) {
+    const mesh = new THREE.Mesh(greedyGeometry(data[type]), getVoxelMaterial(type));
+    mesh.position.set(cx * CHUNK_SIZE, cy * CHUNK_SIZE, cz * CHUNK_SIZE);
+    mesh.scale.setScalar(LOD_SCALE);
+    mesh.receiveShadow = true;
+    mesh.frustumCulled = false; // culled per chunk, see cullChunks
+    scene.add(mesh);
+    meshes.push(mesh);
+  }
+  lodChunks.set(key, { meshes, box: chunkBox(key) });
+}
+
+function applyImpostor(key, { positions, colors, indices, minY, maxY }) {
+  removeImpostor(key);
+  const [cx, cz] = parseChunkKey(key);
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  geo.setIndex(new THREE.BufferAttribute(indices, 1));
+  geo.computeVertexNormals();
+
+  const mesh = new THREE.Mesh(geo, impostorMat);
+  mesh.position.set(cx * CHUNK_SIZE, 0, cz * CHUNK_SIZE);
+  mesh.receiveShadow = true;
+  mesh.frustumCulled = false;
+  scene.add(mesh);
+  const box = new THREE.Box3(
+    new THREE.Vector3(cx * CHUNK_SIZE, minY, cz * CHUNK_SIZE),
+    new THREE.Vector3((cx + 1) * CHUNK_SIZE, maxY, (cz + 1) * CHUNK_SIZE)
+  );
+  impostors.set(key, { mesh, box });
+}
+
+function removeLod(key) {
+  const lod = lodChunks.get(key);
+  if (!lod) return;
+  for (const mesh of lod.meshes) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+  }
+  lodChunks.delete(key);
+}
+
+function removeImpostor(key) {
+  const impostor = impostors.get(key);
+  if (!impostor) return;
+  scene.remove(impostor.mesh);
+  impostor.mesh.geometry.dispose();
+  impostors.delete(key);
+}
+
+function clearLod() {
+  for (const key of lodChunks.keys()) removeLod(key);
+  for (const key of impostors.keys()) removeImpostor(key);
+}
+
+// Called from updateChunks after the full chunks had their pick of the
+// workers. Returns the LOD chunk keys and impostor columns wanted now.
+function updateLod(px, py, pz) {
+  const { near, lod, far } = viewRanges();
+  const wanted = { chunks: new Set(), columns: new Set() };
+  const missingChunks = [];
+  const missingColumns = [];
+
+  for (let dx = -far; dx <= far; dx++) {
+    for (let dz = -far; dz <= far; dz++) {
+      const ring = Math.max(Math.abs(dx), Math.abs(dz));
+      if (ring <= near) continue;
+      if (ring > lod) {
+        const key = getColumnKey(px + dx, pz + dz);
+        wanted.columns.add(key);
+        if (!impostors.has(key) && !impostorJobs.has(key)) missingColumns.push(key);
+        continue;
+      }
+      for (let dy = -LOD_VERTICAL; dy <= LOD_VERTICAL; dy++) {
+        const key = getChunkKeyFromCoords(px + dx, py + dy, pz + dz);
+        wanted.chunks.add(key);
+        if (!lodChunks.has(key) && !lodJobs.has(key)) missingChunks.push(key);
+      }
+    }
+  }
+
+  missingChunks.sort((a, b) => chunkDistanceSq(a) - chunkDistanceSq(b));
+  for (const key of missingChunks) {
+    if (!idleWorkers.length) break;
+    dispatchLodJob(key);
+  }
+  missingColumns.sort((a, b) => columnDistanceSq(a) - columnDistanceSq(b));
+  for (const key of missingColumns) {
+    if (!idleWorkers.length) break;
+    dispatchImpostorJob(key);
+  }
+  return wanted;
+}
+
+// True once the chunks taking over an impostor's column are all up
+// Built, and in greedy mode meshed, so the stand-in can go without a gap
+function chunkShown(key) {
+  const rec = chunks.get(key);
+  return !!rec && (meshMode !== "greedy" || rec.meshed);
+}
+
+function columnReplaced(column, active, wanted) {
+  const [cx, cz] = parseChunkKey(column);
+  const py = Math.floor(camera.position.y / CHUNK_SIZE);
+  for (let dy = -LOD_VERTICAL; dy <= LOD_VERTICAL; dy++) {
+    const key = getChunkKeyFromCoords(cx, py + dy, cz);
+    if (active.has(key) && !chunkShown(key)) return false;
+    if (wanted.chunks.has(key) && !lodChunks.has(key)) return false;
+  }
+  return true;
+}
+
+function dropStaleLod(active, wanted) {
+  for (const key of lodChunks.keys()) {
+    if (wanted.chunks.has(key)) continue;
+    if (!active.has(key) || chunkShown(key)) removeLod(key);
+  }
+  for (const key of impostors.keys()) {
+    if (!wanted.columns.has(key) && columnReplaced(key, active, wanted)) removeImpostor(key);
+  }
+}
+
+/* ===== Chunk culling ===== */
+// Chunk meshes skip three's per-mesh test and are culled a chunk at a time
+// against its bounding box. Out of view, a full chunk may still throw a
+// shadow into it, so while the sun casts shadows its box is first stretched
+// along the sunlight.
+const SHADOW_REACH = 32; // blocks a shadow is followed along the sunlight
+const viewFrustum = new THREE.Frustum();
+const viewProjection = new THREE.Matrix4();
+const cullBox = new THREE.Box3();
+const shadowBox = new THREE.Box3();
+let visibleChunks = 0;
+
+function boxInView(box, castsShadow) {
+  if (viewFrustum.intersectsBox(box)) return true;
+  if (!castsShadow) return false;
+  shadowBox.copy(box).translate(tmpVec.copy(csm.lightDirection).multiplyScalar(SHADOW_REACH)).union(box);
+  return viewFrustum.intersectsBox(shadowBox);
+}
+
+function setChunkVisible(rec, visible) {
+  for (const mesh of Object.values(rec.meshes)) if (mesh) mesh.visible = visible;
+  for (const mesh of Object.values(rec.greedyMeshes)) mesh.visible = visible;
+}
+
+// Every frame, after updateDayCycle has moved the sun
+function cullChunks() {
+  camera.updateMatrixWorld();
+  viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  viewFrustum.setFromProjectionMatrix(viewProjection);
+  const shadows = csm.lights[0].castShadow;
+  visibleChunks = 0;
+
+  for (const [key, rec] of chunks) {
+    const visible = boxInView(chunkBox(key, cullBox), shadows);
+    setChunkVisible(rec, visible);
+    visibleChunks += visible;
+  }
+  for (const lod of lodChunks.values()) {
+    const visible = boxInView(lod.box, false);
+    for (const mesh of lod.meshes) mesh.visible = visible;
+    visibleChunks += visible;
+  }
+  for (const impostor of impostors.values()) {
+    impostor.mesh.visible = boxInView(impostor.box, false);
+    visibleChunks += impostor.mesh.visible;
+  }
+}
+
+/* ===================== Greedy Meshing ===================== */
+// "instanced" draws one cube instance per block; "greedy" builds one merged
+// BufferGeometry per chunk per type with hidden faces culled
+let meshMode = "instanced";
+const remeshQueue = new Set();
+
+const parseChunkKey = (key) => key.split(",").map(Number);
+
+// Chunk cells plus a one-cell border from loaded neighbours (unloaded = air),
+// and the light levels over the same cells (unloaded = full sunlight)
+function buildChunkGrid(key, rec) {
+  const [cx, cy, cz] = parseChunkKey(key);
+  const ox = cx * CHUNK_SIZE;
+  const oy = cy * CHUNK_SIZE;
+  const oz = cz * CHUNK_SIZE;
+  const grid = createPaddedGrid(CHUNK_SIZE);
+  const palette = [];
+  const ids = new Map();
+  const idFor = (type) => {
+    if (!ids.has(type)) {
+      palette.push(type);
+      ids.set(type, palette.length);
+    }
+    return ids.get(type);
+  };
+
+  for (const [ck, type] of rec.occupancy) {
+    const [x, y, z] = ck.split(",").map(Number);
+    grid[paddedIndex(CHUNK_SIZE, x - ox, y - oy, z - oz)] = idFor(displayType(type));
+  }
+
+  for (let ly = -1; ly <= CHUNK_SIZE; ly++) {
+    for (let lz = -1; lz <= CHUNK_SIZE; lz++) {
+      for (let lx = -1; lx <= CHUNK_SIZE; lx++) {
+        const inside =
+          lx >= 0 && ly >= 0 && lz >= 0 && lx < CHUNK_SIZE && ly < CHUNK_SIZE && lz < CHUNK_SIZE;
+        if (inside) continue;
+        const x = ox + lx;
+        const y = oy + ly;
+        const z = oz + lz;
+        const type = getChunkRecordAtCell(x, y, z)?.occupancy.get(`${x},${y},${z}`);
+        if (type) grid[paddedIndex(CHUNK_SIZE, lx, ly, lz)] = idFor(displayType(type));
+      }
+    }
+  }
+
+  const light = createPaddedGrid(CHUNK_SIZE);
+  for (let lz = -1; lz <= CHUNK_SIZE; lz++) {
+    for (let ly = -1; ly <= CHUNK_SIZE; ly++) {
+      for (let lx = -1; lx <= CHUNK_SIZE; lx++) {
+        const level = lightEngine.getLight(ox + lx, oy + ly, oz + lz);
+        light[paddedIndex(CHUNK_SIZE, lx, ly, lz)] = level < 0 ? MAX_LIGHT << 4 : level;
+      }
+    }
+  }
+  return { grid, palette, light };
+}
+
+function disposeGreedyMeshes(rec) {
+  for (const mesh of Object.values(rec.greedyMeshes)) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+  }
+  rec.greedyMeshes = {};
+}
+
+function buildGreedyMeshes(key, rec) {
+  const { grid, palette, light } = buildChunkGrid(key, rec);
+  applyGreedyMeshData(key, rec, greedyMesh(grid, CHUNK_SIZE, palette, isTransparentBlock, light));
+}
+
+// One type's arrays from greedyMesh, on the main thread or a worker
+function greedyGeometry({ positions, normals, uvs, lights, indices }) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+  geo.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+  geo.setAttribute("voxelLight", new THREE.BufferAttribute(lights, 3));
+  geo.setIndex(new THREE.BufferAttribute(indices, 1));
+  return geo;
+}
+
+// Loaded chunks are always in the scene, so fresh meshes go straight in
+function applyGreedyMeshData(key, rec, data) {
+  disposeGreedyMeshes(rec);
+  rec.meshVersion++;
+  rec.meshed = true;
+  const [cx, cy, cz] = parseChunkKey(key);
+  for (const type in data) {
+    const mesh = new THREE.Mesh(greedyGeometry(data[type]), getVoxelMaterial(type));
+    mesh.position.set(cx * CHUNK_SIZE, cy * CHUNK_SIZE, cz * CHUNK_SIZE);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.frustumCulled = false; // culled per chunk, see cullChunks
+    rec.greedyMeshes[type] = mesh;
+    if (chunks.get(key) === rec) scene.add(mesh);
+  }
+}
+
+// Rebuild the cell's chunk now, plus any neighbour whose border it touches
+function remeshAroundCell(x, y, z) {
+  const keys = editBatchDepth > 0 ? batchedRemesh : new Set();
+  for (const [dx, dy, dz] of [
+    [0, 0, 0],
+    [-1, 0, 0],
+    [1, 0, 0],
+    [0, -1, 0],
+    [0, 1, 0],
+    [0, 0, -1],
+    [0, 0, 1]
+  ]) {
+    keys.add(getChunkKey({ x: x + dx, y: y + dy, z: z + dz }));
+  }
+  if (editBatchDepth === 0) remeshChunks(keys);
+}
+
+function remeshChunks(keys) {
+  for (const key of keys) {
+    const rec = chunks.get(key);
+    if (!rec) continue;
+    buildGreedyMeshes(key, rec);
+    remeshQueue.delete(key);
+  }
+}
+
+// Uses whatever workers the chunk jobs left idle
+function processRemeshQueue() {
+  for (const key of remeshQueue) {
+    if (!idleWorkers.length) break;
+    remeshQueue.delete(key);
+    const rec = chunks.get(key);
+    if (rec) dispatchMeshJob(key, rec);
+  }
+}
+
+// Chunks rebuild from chunkData in the new mode as updateChunks reloads them
+function setMeshMode(mode) {
+  if (mode === meshMode) return;
+  meshMode = mode;
+  for (const key of chunks.keys()) unloadChunk(key, true);
+  clearChunkCache();
+}
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (isBound("meshMode", e.code)) setMeshMode(meshMode === "instanced" ? "greedy" : "instanced");
+});
+
+/* ===== Mesh stats ===== */
+const meshStats = document.getElementById("meshStats");
+function updateMeshStats() {
+  const { calls, triangles } = renderer.info.render;
+  const total = chunks.size + lodChunks.size + impostors.size;
+  meshStats.textContent = `${meshMode} | draw calls ${calls} | triangles ${triangles} | chunks ${visibleChunks}/${total} | ${clockTime(timeOfDay)}`;
+  if (shadowDebug) meshStats.textContent += ` | shadow splits ${shadowSplits()}`;
+}
+
+/* ===================== Voxel Lighting ===================== */
+// Sky and block light for the loaded chunks (see lighting.js). Chunks join
+// when built and leave when unloaded; an edit relights around its cell, and
+// every chunk whose light changed is redone: remeshed in greedy mode, where
+// light and ambient occlusion go into the vertices, or re-tinted when
+// instanced, where each cube just takes the brightness of its brightest face.
+const relightQueue = new Set(); // instanced chunks waiting to be re-tinted
+
+function cellTypeIfLoaded(x, y, z) {
+  return getChunkRecordAtCell(x, y, z)?.occupancy.get(`${x},${y},${z}`);
+}
+
+function isOpaqueCell(x, y, z) {
+  const type = cellTypeIfLoaded(x, y, z);
+  return !!type && !isTransparentBlock(type);
+}
+
+const lightEngine = createLightEngine(CHUNK_SIZE, {
+  isOpaque: isOpaqueCell,
+  emission(x, y, z) {
+    const type = cellTypeIfLoaded(x, y, z);
+    return type ? blockLight(type) : 0;
+  },
+  isSky: (x, y, z) => y > surfaceHeight(worldTerrain, x, z)
+});
+
+function lightChunk(key, rec) {
+  const emitters = [];
+  for (const [ck, type] of rec.occupancy) {
+    const level = blockLight(type);
+    if (level) emitters.push([...ck.split(",").map(Number), level]);
+  }
+  lightEngine.addChunk(...parseChunkKey(key), emitters);
+  queueLightChanges();
+}
+
+// x, y, z: cell centre of an edit in a built chunk
+function relightCell(x, y, z) {
+  lightEngine.updateCell(Math.floor(x), Math.floor(y), Math.floor(z));
+  queueLightChanges();
+}
+
+function queueLightChanges() {
+  for (const key of lightEngine.takeChanged()) {
+    if (meshMode === "greedy") remeshQueue.add(key);
+    else relightQueue.add(key);
+  }
+}
+
+/* ===== Instanced tint ===== */
+const FACE_DIRS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1]
+];
+
+function tintInstance(mesh, idx, ck) {
+  const [x, y, z] = ck.split(",").map(Number);
+  let level = 0;
+  for (const [dx, dy, dz] of FACE_DIRS) {
+    const packed = lightEngine.getLight(x + dx, y + dy, z + dz);
+    if (packed < 0 || isOpaqueCell(x + dx, y + dy, z + dz)) continue;
+    level = Math.max(level, packed >> 4, packed & 15);
+  }
+  mesh.setColorAt(idx, tmpColor.setScalar(LIGHT_CURVE[level]));
+  mesh.instanceColor.needsUpdate = true;
+}
+
+function tintInstances(rec) {
+  for (const type in rec.meshes) {
+    const mesh = rec.meshes[type];
+    if (!mesh) continue;
+    for (let i = 0; i < rec.counts[type]; i++) tintInstance(mesh, i, rec.cellsByIndex[type][i]);
+  }
+}
+
+function processRelightQueue() {
+  for (const key of relightQueue) {
+    const rec = chunks.get(key);
+    if (rec) tintInstances(rec);
+  }
+  relightQueue.clear();
+}
+
+/* ===================== Block Simulation ===================== */
+// Water flows and sand and gravel fall (see blockSim.js) in built chunks, one
+// step every BLOCK_SIM_INTERVAL ticks. Its changes are ordinary edits, so they
+// save with their chunk and a recording carries them as actions; replays do
+// not run it themselves. Only save slots run it: a server owns its blocks.
+const BLOCK_SIM_INTERVAL = 5; // ticks, so 12 steps a second
+const BLOCK_SIM_BUDGET = 512; // cells looked at per step
+
+const blockSim = createBlockSim(CHUNK_SIZE, {
+  getType(x, y, z) {
+    const rec = getChunkRecordAtCell(x, y, z);
+    return rec ? rec.occupancy.get(`${x},${y},${z}`) ?? null : undefined;
+  },
+  setType: (x, y, z, type) => setBlockAt(x + 0.5, y + 0.5, z + 0.5, type)
+});
+
+function simChunk(key, rec) {
+  const active = [];
+  for (const [ck, type] of rec.occupancy) {
+    if (fallsBlock(type) || fluidLevel(type) >= 0) active.push(ck.split(",").map(Number));
+  }
+  blockSim.addChunk(...parseChunkKey(key), active);
+}
+
+// Not an undo step, and each touched chunk is remeshed once per step
+function stepBlockSim() {
+  if (!currentWorld || tickCount % BLOCK_SIM_INTERVAL !== 0) return;
+  editHistory.silently(() => withEditGroup(() => blockSim.step(BLOCK_SIM_BUDGET)));
+}
+
+/* ===================== World Saves ===================== */
+const SAVE_DELAY = 1000; // ms, edits made within this window share one write
+const LAST_WORLD_KEY = "lastWorld";
+
+let currentWorld = null; // name of the open save slot, null in replays and multiplayer
+let worldTerrain = null; // { seed, caves } of currentWorld, null for flat legacy worlds
+const savedChunkKeys = new Set(); // chunks of currentWorld stored in IndexedDB
+const pendingChunkLoads = new Set();
+const dirtyChunks = new Set(); // edited chunks whose last write has not completed
+const chunkRevisions = new Map(); // key -> edit count since the world was opened
+const savingChunks = new Map(); // key -> revision being written
+const chunkWrites = new Set(); // saveChunks promises in flight
+let saveTimer = null;
+
+// A save slot, a replay or a server's world is loaded
+const worldIsOpen = () => !!(currentWorld || replay || (net && net.id !== null));
+
+function scheduleSave() {
+  if (saveTimer === null) saveTimer = setTimeout(flushDirtyChunks, SAVE_DELAY);
+}
+
+function markChunkDirty(key) {
+  chunkRevisions.set(key, (chunkRevisions.get(key) ?? 0) + 1);
+  dirtyChunks.add(key);
+  scheduleSave();
+}
+
+function flushDirtyChunks() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!currentWorld) return Promise.resolve();
+  const survivalSave = survival?.dirty ? saveSurvival(currentWorld) : null;
+
+  // Chunks stay dirty until the transaction completes, so nothing drops them
+  // meanwhile and a failed write is retried by the next save. Chunks already
+  // being written at their current revision are left to that write.
+  const world = currentWorld;
+  const revisions = new Map();
+  for (const key of dirtyChunks) {
+    const revision = chunkRevisions.get(key);
+    if (savingChunks.get(key) !== revision) revisions.set(key, revision);
+  }
+  if (revisions.size) {
+    const entries = [...revisions.keys()].map((key) => [key, encodeChunk(key, chunkData.get(key), CHUNK_SIZE)]);
+    for (const [key, revision] of revisions) savingChunks.set(key, revision);
+    const write = saveChunks(world, entries)
+      .then(
+        () => {
+          if (world !== currentWorld) return;
+          for (const [key, revision] of revisions) {
+            savedChunkKeys.add(key);
+            if (chunkRevisions.get(key) === revision) dirtyChunks.delete(key);
+          }
+        },
+        (err) => console.error("Failed to save chunks", err)
+      )
+      .finally(() => {
+        chunkWrites.delete(write);
+        if (world !== currentWorld) return;
+        for (const [key, revision] of revisions) {
+          if (savingChunks.get(key) === revision) savingChunks.delete(key);
+        }
+      });
+    chunkWrites.add(write);
+  }
+  return Promise.all([survivalSave, ...chunkWrites]);
+}
+
+// Saves from before the binary format hold the plain block array
+const decodeSavedChunk = (data) =>
+  Array.isArray(data) ? data : decodeChunk(data, CHUNK_SIZE).arr;
+
+function requestSavedChunk(key) {
+  if (pendingChunkLoads.has(key)) return;
+  pendingChunkLoads.add(key);
+  const world = currentWorld;
+  loadChunk(world, key)
+    .then((data) => {
+      if (world !== currentWorld) return; // world was switched meanwhile
+      if (data) chunkData.set(key, decodeSavedChunk(data));
+      else savedChunkKeys.delete(key);
+    })
+    .catch((err) => {
+      console.error(`Failed to load chunk ${key}, regenerating it`, err);
+      if (world === currentWorld) savedChunkKeys.delete(key);
+    })
+    .finally(() => pendingChunkLoads.delete(key));
+}
+
+function closeWorld() {
+  stopRecording(); // hands over what was recorded before the world goes away
+  for (const key of chunks.keys()) unloadChunk(key, true);
+  clearChunkCache();
+  chunkData.clear();
+  savedChunkKeys.clear();
+  pendingChunkLoads.clear();
+  chunkRevisions.clear();
+  cellLookupCache.clear();
+  editHistory.clear();
+  remeshQueue.clear();
+  relightQueue.clear();
+  lightEngine.clear();
+  blockSim.clear();
+  clearMobs();
+  clearLod();
+  resetChunkWorkers();
+  dirtyChunks.clear();
+  savingChunks.clear();
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  currentWorld = null;
+  survival = null;
+  miningHeld = false;
+  player.flying = false;
+}
+
+// Eye position just above the surface at the world origin
+function getSpawnHeight() {
+  const surface = worldTerrain ? terrainHeight(worldTerrain.seed, 0, 5) + 1 : 3;
+  return surface + eyeHeight;
+}
+
+const spawnPosition = () => [0.5, getSpawnHeight() - eyeHeight, 5.5];
+
+async function openWorld(name) {
+  await flushDirtyChunks();
+  endReplay();
+  leaveServer();
+  closeWorld();
+  const world = await getWorld(name);
+  const keys = await listSavedChunkKeys(name);
+  for (const key of keys) savedChunkKeys.add(key);
+  worldTerrain = world && world.seed !== undefined ? { seed: world.seed, caves: !!world.caves } : null;
+  currentWorld = name;
+  survival = world?.survival ? createSurvivalState(world.player) : null;
+  if (survival) {
+    builderMode = false; // a creative tool
+    updateSelectionHelper();
+  }
+  localStorage.setItem(LAST_WORLD_KEY, name);
+
+  // Back to spawn
+  teleportPlayer(...spawnPosition());
+}
+
+async function createWorld(name, seed = randomSeed(), caves = false, survivalMode = false) {
+  const world = { name, created: Date.now(), seed, caves, survival: survivalMode };
+  await putWorld(world);
+  return world;
+}
+
+/* ===== World files ===== */
+async function exportWorld() {
+  await flushDirtyChunks();
+  const world = currentWorld;
+  const all = new Map(chunkData);
+  for (const key of savedChunkKeys) {
+    if (!all.has(key)) all.set(key, decodeSavedChunk(await loadChunk(world, key)));
+  }
+
+  const meta = await getWorld(world);
+  const bytes = encodeWorld(meta, all, CHUNK_SIZE);
+  downloadBlob(new Blob([bytes], { type: "application/octet-stream" }), `${world}.vxw`);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // revoking right away can cancel the download
+}
+
+async function importWorld(file) {
+  const { meta, chunks: imported } = decodeWorld(new Uint8Array(await file.arrayBuffer()), CHUNK_SIZE);
+  const name = await uniqueWorldName(meta.name || file.name.replace(/\.vxw$/, ""));
+  await putWorld({ ...meta, name, created: Date.now() });
+  await saveChunks(
+    name,
+    [...imported].map(([key, arr]) => [key, encodeChunk(key, arr, CHUNK_SIZE)])
+  );
+  await openWorld(name);
+
+  // Already decoded, so updateChunks can build them without reading them back
+  for (const [key, arr] of imported) chunkData.set(key, arr);
+}
+
+// Flush pending edits when the tab is hidden or closed. Listeners cannot wait
+// for the write, but it is queued before the page goes, and chunks stay dirty
+// until it completes, so a write cut short is made again by the next save.
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushDirtyChunks();
+});
+window.addEventListener("pagehide", () => flushDirtyChunks());
+
+/* ===== Save slot UI ===== */
+const worldSelect = document.getElementById("worldSelect");
+const worldNameInput = document.getElementById("worldName");
+const worldSeedInput = document.getElementById("worldSeed");
+const worldCavesInput = document.getElementById("worldCaves");
+const worldSurvivalInput = document.getElementById("worldSurvival");
+
+async function refreshWorldList() {
+  const worlds = await listWorlds();
+  worldSelect.replaceChildren(...worlds.map((w) => new Option(w.name, w.name)));
+  worldSelect.value = currentWorld ?? "";
+  return worlds;
+}
+
+async function uniqueWorldName(base) {
+  let name = base;
+  for (let n = 2; await getWorld(name); n++) name = `${base} (${n})`;
+  return name;
+}
+
+worldSelect.addEventListener("change", async () => {
+  await openWorld(worldSelect.value);
+  await refreshWorldList();
+});
+
+document.getElementById("newWorld").addEventListener("click", async () => {
+  const name = await uniqueWorldName(worldNameInput.value.trim() || "World");
+  const seedText = worldSeedInput.value.trim();
+  worldNameInput.value = "";
+  worldSeedInput.value = "";
+  const seed = seedText ? parseSeed(seedText) : randomSeed();
+  await createWorld(name, seed, worldCavesInput.checked, worldSurvivalInput.checked);
+  await openWorld(name);
+  await refreshWorldList();
+});
+
+document.getElementById("deleteWorld").addEventListener("click", async () => {
+  const name = worldSelect.value;
+  if (!name || !confirm(`Delete world "${name}"? This cannot be undone.`)) return;
+  if (name === currentWorld) closeWorld();
+  await deleteWorld(name);
+
+  const worlds = await refreshWorldList();
+  if (!currentWorld) {
+    await openWorld(worlds.length ? worlds[0].name : (await createWorld("World")).name);
+    await refreshWorldList();
+  }
+});
+
+document.getElementById("exportWorld").addEventListener("click", () => {
+  if (currentWorld) exportWorld().catch((err) => console.error("Failed to export world", err));
+});
+
+const importFile = document.getElementById("importFile");
+document.getElementById("importWorld").addEventListener("click", () => importFile.click());
+importFile.addEventListener("change", async () => {
+  const file = importFile.files[0];
+  importFile.value = "";
+  if (!file) return;
+  try {
+    await importWorld(file);
+    await refreshWorldList();
+  } catch (err) {
+    console.error("Failed to import world", err);
+    alert(`Could not import "${file.name}": ${err.message}`);
+  }
+});
+
+async function initWorlds() {
+  let worlds = await listWorlds();
+  if (worlds.length === 0) worlds = [await createWorld("World")];
+  const last = localStorage.getItem(LAST_WORLD_KEY);
+  const world = worlds.find((w) => w.name === last) ?? worlds[0];
+  await openWorld(world.name);
+  await refreshWorldList();
+}
+
+/* ===================== Multiplayer ===================== */
+// Join Server on the overlay connects to `node server.mjs`. The server owns
+// the block data: chunks are asked for instead of generated, and every local
+// edit is applied at once, sent, and put right again if the server rejects it.
+// Remote players are capsules trailing their updates by AVATAR_DELAY.
+const NET_MOVE_INTERVAL = 3; // ticks between position updates
+const AVATAR_DELAY = 100; // ms, interpolation buffer for remote players
+const PLAYER_NAME_KEY = "playerName";
+
+// { ws, id, nextSeq, pending: seq -> cell key, pendingCells: cell key -> count, requested }
+let net = null;
+let applyingServerEdit = false;
+const avatars = new Map(); // id -> { mesh, snapshots: Array<{ time, position }> }
+const avatarGeo = new THREE.CapsuleGeometry(player.halfWidth, player.height - player.halfWidth * 2, 4, 8);
+
+const serverUrlInput = document.getElementById("serverUrl");
+const playerNameInput = document.getElementById("playerName");
+const joinServerButton = document.getElementById("joinServer");
+const leaveServerButton = document.getElementById("leaveServer");
+serverUrlInput.placeholder =
+  location.protocol === "http:" ? `ws://${location.host}` : `ws://localhost:${DEFAULT_PORT}`;
+playerNameInput.value = localStorage.getItem(PLAYER_NAME_KEY) ?? "";
+
+function sendNet(msg) {
+  if (net && net.ws.readyState === WebSocket.OPEN) net.ws.send(JSON.stringify(msg));
+}
+
+async function joinServer(url, name) {
+  stopRecording();
+  await flushDirtyChunks();
+  endReplay();
+  leaveServer();
+  closeWorld();
+  refreshWorldList();
+
+  const ws = new WebSocket(url);
+  net = { ws, id: null, nextSeq: 0, pending: new Map(), pendingCells: new Map(), requested: new Set() };
+  ws.onopen = () => sendNet({ type: "hello", protocol: PROTOCOL_VERSION, name });
+  ws.onmessage = (e) => onNetMessage(JSON.parse(e.data));
+  ws.onclose = () => {
+    if (!net || net.ws !== ws) return; // left on purpose
+    const welcomed = net.id !== null;
+    leaveServer();
+    alert(welcomed ? "Disconnected from the server" : `Could not join ${url}`);
+    initWorlds().catch((err) => console.error("Failed to open world storage", err));
+  };
+  leaveServerButton.hidden = false;
+}
+
+// Drops the connection and everything that came from it; the caller opens
+// whatever comes next
+function leaveServer() {
+  if (!net) return;
+  const { ws } = net;
+  net = null;
+  ws.close();
+  for (const id of [...avatars.keys()]) removeAvatar(id);
+  leaveServerButton.hidden = true;
+}
+
+function onNetMessage(msg) {
+  switch (msg.type) {
+    case "welcome":
+      if (msg.chunkSize !== CHUNK_SIZE) {
+        console.error(`Server uses chunk size ${msg.chunkSize}, not ${CHUNK_SIZE}`);
+        net.ws.close();
+        return;
+      }
+      net.id = msg.id;
+      worldTerrain = msg.terrain;
+      teleportPlayer(...msg.spawn);
+      for (const p of msg.players) addAvatar(p.id, p.position);
+      break;
+    case "chunk":
+      net.requested.delete(msg.key);
+      if (!chunkData.has(msg.key)) chunkData.set(msg.key, decodeChunk(base64ToBytes(msg.data), CHUNK_SIZE).arr);
+      break;
+    case "edit":
+      if (msg.id === net.id) settleEdit(msg.seq);
+      setCellFromServer(msg.x, msg.y, msg.z, msg.kind === "place" ? msg.block : null);
+      break;
+    case "reject":
+      console.warn(`Server rejected edit at ${msg.x},${msg.y},${msg.z}: ${msg.reason}`);
+      settleEdit(msg.seq);
+      setCellFromServer(msg.x, msg.y, msg.z, msg.actual);
+      break;
+    case "join":
+      addAvatar(msg.id, msg.position);
+      break;
+    case "move":
+      avatars.get(msg.id)?.snapshots.push({ time: performance.now(), position: msg.position });
+      break;
+    case "leave":
+      removeAvatar(msg.id);
+      break;
+    case "error":
+      console.error(`Server: ${msg.message}`);
+      break;
+  }
+}
+
+function requestServerChunk(key) {
+  if (!net || net.id === null || net.requested.has(key)) return;
+  net.requested.add(key);
+  sendNet({ type: "chunk", key });
+}
+
+/* ===== Edit prediction ===== */
+// Called for every applied edit, see onBlockChanged
+function sendEdit(x, y, z, after) {
+  if (!net || net.id === null || applyingServerEdit) return;
+  const seq = ++net.nextSeq;
+  const ck = getCellKey({ x, y, z });
+  net.pending.set(seq, ck);
+  net.pendingCells.set(ck, (net.pendingCells.get(ck) ?? 0) + 1);
+  const msg = { type: "edit", seq, kind: after ? "place" : "destroy", x, y, z };
+  if (after) msg.block = after;
+  sendNet(msg);
+}
+
+function settleEdit(seq) {
+  const ck = net.pending.get(seq);
+  if (ck === undefined) return;
+  net.pending.delete(seq);
+  const left = net.pendingCells.get(ck) - 1;
+  if (left > 0) net.pendingCells.set(ck, left);
+  else net.pendingCells.delete(ck);
+}
+
+// Makes a cell match the server, unless a local edit to it is still in flight:
+// the server's answer to that edit will settle the cell instead
+function setCellFromServer(x, y, z, type) {
+  if (net.pendingCells.has(getCellKey({ x, y, z }))) return;
+  if (getBlockTypeAt(x, y, z) === (type ?? null)) return;
+  applyingServerEdit = true;
+  try {
+    editHistory.silently(() => setBlockAt(x, y, z, type));
+  } finally {
+    applyingServerEdit = false;
+  }
+}
+
+function sendPlayerMove() {
+  if (net && net.id !== null && tickCount % NET_MOVE_INTERVAL === 0) {
+    sendNet({ type: "move", position: player.position.toArray() });
+  }
+}
+
+/* ===== Avatars ===== */
+function addAvatar(id, position) {
+  removeAvatar(id);
+  const mesh = new THREE.Mesh(
+    avatarGeo,
+    litMaterial(new THREE.MeshStandardMaterial({ color: new THREE.Color().setHSL((id * 0.618) % 1, 0.6, 0.55) }))
+  );
+  mesh.castShadow = true;
+  scene.add(mesh);
+  avatars.set(id, { mesh, snapshots: [{ time: performance.now(), position }] });
+}
+
+function removeAvatar(id) {
+  const avatar = avatars.get(id);
+  if (!avatar) return;
+  scene.remove(avatar.mesh);
+  forgetLitMaterial(avatar.mesh.material);
+  avatars.delete(id);
+}
+
+// Places each avatar between the two updates around now - AVATAR_DELAY
+function updateAvatars(now) {
+  const renderTime = now - AVATAR_DELAY;
+  for (const { mesh, snapshots } of avatars.values()) {
+    while (snapshots.length > 2 && snapshots[1].time <= renderTime) snapshots.shift();
+    const [a, b] = snapshots;
+    mesh.position.fromArray(a.position);
+    if (b && renderTime > a.time) {
+      const t = Math.min(1, (renderTime - a.time) / (b.time - a.time));
+      mesh.position.lerp(tmpVec.fromArray(b.position), t);
+    }
+    mesh.position.y += player.height / 2;
+  }
+}
+
+joinServerButton.addEventListener("click", () => {
+  const url = serverUrlInput.value.trim() || serverUrlInput.placeholder;
+  const name = playerNameInput.value.trim();
+  localStorage.setItem(PLAYER_NAME_KEY, name);
+  joinServer(url, name).catch((err) => {
+    console.error("Failed to join server", err);
+    alert(`Could not join ${url}: ${err.message}`);
+    leaveServer();
+    initWorlds().catch((e) => console.error("Failed to open world storage", e));
+  });
+});
+
+leaveServerButton.addEventListener("click", () => {
+  leaveServer();
+  initWorlds().catch((err) => console.error("Failed to open world storage", err));
+});
+
+/* ===================== Mobs ===================== */
+// Wanderers and followers (see mobs.js). A built chunk of a save slot may
+// spawn one on its walkable surface, the same one each time it loads, and a
+// mob goes away with the chunk it stands in. They collide with what is built,
+// step after the player and never touch it or the blocks, so recordings and
+// replays leave them out.
+const MOB_CHANCE = 0.3; // per built chunk
+const MOB_SPAWN_TRIES = 8; // columns tried per chunk
+const MAX_MOB_PLANS_PER_TICK = 2; // path searches
+
+const mobs = new Map(); // id -> { mob, mesh, prev: feet at the previous tick }
+let nextMobId = 1;
+const mobRandom = seededRandom(1); // goals; spawning is seeded per chunk
+
+const mobGeo = new THREE.CapsuleGeometry(MOB_TUNING.radius, MOB_TUNING.height - MOB_TUNING.radius * 2, 4, 8);
+const mobEyesGeo = new THREE.BoxGeometry(MOB_TUNING.radius * 1.4, 0.12, 0.1);
+const mobEyesMat = litMaterial(new THREE.MeshStandardMaterial({ color: 0x111111 }));
+const mobMaterials = {};
+for (const kind in MOB_KINDS) {
+  mobMaterials[kind] = litMaterial(new THREE.MeshStandardMaterial({ color: MOB_KINDS[kind].color }));
+}
+
+// Collision and paths only see built chunks; the rest is a wall
+function isMobSolid(x, y, z) {
+  const rec = getChunkRecordAtCell(x, y, z);
+  return !rec || isSolidBlock(rec.occupancy.get(`${x},${y},${z}`));
+}
+
+function spawnMobs(key) {
+  if (!currentWorld) return;
+  for (const { mob } of mobs.values()) if (mob.home === key) return; // still about
+  const rand = seededRandom(parseSeed(`${worldTerrain?.seed ?? 0}:${key}`));
+  if (rand() >= MOB_CHANCE) return;
+  const kinds = Object.keys(MOB_KINDS);
+  const kind = kinds[Math.floor(rand() * kinds.length)];
+  const [cx, cy, cz] = parseChunkKey(key);
+  for (let i = 0; i < MOB_SPAWN_TRIES; i++) {
+    const x = cx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const z = cz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    for (let y = cy * CHUNK_SIZE + CHUNK_SIZE - 1; y >= cy * CHUNK_SIZE; y--) {
+      if (!isWalkable(isMobSolid, x, y, z)) continue;
+      addMob(createMob(nextMobId++, kind, [x + 0.5, y, z + 0.5], key));
+      return;
+    }
+  }
+}
+
+function addMob(mob) {
+  const mesh = new THREE.Mesh(mobGeo, mobMaterials[mob.kind]);
+  const eyes = new THREE.Mesh(mobEyesGeo, mobEyesMat);
+  eyes.position.set(0, MOB_TUNING.height / 2 - 0.3, -MOB_TUNING.radius);
+  mesh.add(eyes);
+  mesh.castShadow = mesh.receiveShadow = true;
+  scene.add(mesh);
+  const { x, y, z } = mob.body.position;
+  mobs.set(mob.id, { mob, mesh, prev: new THREE.Vector3(x, y, z) });
+}
+
+function removeMob(id) {
+  const view = mobs.get(id);
+  if (!view) return;
+  scene.remove(view.mesh);
+  mobs.delete(id);
+}
+
+// Mobs standing in the chunk, when it unloads
+function despawnMobs(key) {
+  for (const [id, { mob }] of mobs) {
+    if (getChunkKey(mob.body.position) === key) removeMob(id);
+  }
+}
+
+function clearMobs() {
+  for (const id of [...mobs.keys()]) removeMob(id);
+}
+
+function stepMobs(dt) {
+  const playerCell = survival?.dead ? null : player.position.toArray().map(Math.floor);
+  let plans = 0;
+  for (const { mob, prev } of mobs.values()) {
+    prev.copy(mob.body.position);
+    if (mob.replanIn <= 0 && plans < MAX_MOB_PLANS_PER_TICK) {
+      planMob(mob, isMobSolid, playerCell, mobRandom);
+      plans++;
+    }
+    stepMob(mob, dt, isMobSolid);
+  }
+}
+
+function updateMobMeshes(alpha) {
+  for (const { mob, mesh, prev } of mobs.values()) {
+    mesh.position.lerpVectors(prev, mob.body.position, alpha);
+    mesh.position.y += MOB_TUNING.height / 2;
+    mesh.rotation.y = mob.yaw;
+  }
+}
+
+/* ===================== Fixed-Step Simulation ===================== */
+// Player physics and block edits advance in fixed ticks; chunk streaming runs
+// once per frame, and rendering interpolates the camera between the last two
+// ticks. A tick only
+// reads its input snapshot, so the same inputs always replay the same way.
+const TICK_RATE = 60;
+const TICK_DT = 1 / TICK_RATE;
+const MAX_FRAME_DELTA = 0.25; // s, longer gaps (tab switches) are dropped
+const MAX_TICKS_PER_FRAME = 8;
+
+const pendingActions = []; // block edits waiting for the next tick
+let tickCount = 0; // ticks run so far; paces the slower per-tick work
+let tickAccumulator = 0;
+let inTick = false; // lets the recorder tell tick actions from other edits
+const tickEuler = new THREE.Euler(0, 0, 0, "YXZ");
+
+// Everything a tick needs from the user, as plain data
+function sampleInput() {
+  tickEuler.setFromQuaternion(camera.quaternion);
+  const alive = !survival?.dead; // the dead lie still until they respawn
+  return {
+    forward: alive && move.forward,
+    backward: alive && move.backward,
+    left: alive && move.left,
+    right: alive && move.right,
+    jump: alive && move.jump,
+    sprint: alive && sprinting,
+    yaw: tickEuler.y,
+    pitch: tickEuler.x,
+    actions: pendingActions.splice(0)
+  };
+}
+
+function applyAction(action) {
+  if (action.kind === "place") addBlockAt(action.x, action.y, action.z, action.type);
+  else if (action.kind === "destroy" && survival) destroyAndDrop(action.x, action.y, action.z);
+  else if (action.kind === "destroy") removeBlockAt(action.x, action.y, action.z);
+  else if (action.kind === "respawn") {
+    respawnBody(player, action.position);
+    if (survival) respawn(survival);
+  } else if (action.kind === "teleport") {
+    respawnBody(player, action.position);
+    prevPlayerPos.copy(player.position); // no gliding there when applied between ticks
+  } else if (action.kind === "fly") setFlying(player, action.on);
+}
+
+function simulatePlayer(input, dt) {
+  prevPlayerPos.copy(player.position);
+  const impact = stepPlayer(player, input, dt, isSolidCell, isFluidCell);
+  if (!survival) return;
+  hurtPlayer(fallDamage(impact));
+  stepDrops(survival, player.position, dt, isSolidCell);
+  if (survival.dirty) scheduleSave();
+}
+
+function tick(input) {
+  inTick = true;
+  try {
+    for (const action of input.actions) applyAction(action);
+  } finally {
+    inTick = false;
+  }
+  profiled("physics", () => simulatePlayer(input, TICK_DT));
+  tickCount++;
+}
+
+// Runs every frame; returns how far (0..1) render time is into the next tick
+function advanceSimulation(frameDelta) {
+  tickAccumulator += Math.min(frameDelta, MAX_FRAME_DELTA);
+  let ticks = 0;
+  while (tickAccumulator >= TICK_DT && ticks < MAX_TICKS_PER_FRAME) {
+    if (replay) stepReplay();
+    else if (controls.isLocked) {
+      if (survival) updateMining(TICK_DT);
+      const input = sampleInput();
+      recordTick(input);
+      tick(input);
+      stepBlockSim();
+      stepMobs(TICK_DT);
+      sendPlayerMove();
+    } else prevPlayerPos.copy(player.position);
+    tickAccumulator -= TICK_DT;
+    ticks++;
+  }
+  if (ticks === MAX_TICKS_PER_FRAME) tickAccumulator = 0; // fell behind, drop the rest
+
+  // Once per frame however many ticks ran, so catching up after a stall does
+  // not also swap in several frames' worth of chunks at once
+  if (worldIsOpen()) profiled("chunks", updateChunks);
+  if (meshMode === "greedy") processRemeshQueue();
+  else processRelightQueue();
+  return tickAccumulator / TICK_DT;
+}
+
+function updateCameraFromPlayer(alpha) {
+  if (replay && replay.freeCam) {
+    replayMarker.position.lerpVectors(prevPlayerPos, player.position, alpha);
+    replayMarker.position.y += player.height / 2;
+    return;
+  }
+  camera.position.lerpVectors(prevPlayerPos, player.position, alpha);
+  camera.position.y += eyeHeight;
+  // A replay looks where the recorded player looked
+  if (replay && replay.input) {
+    camera.quaternion.setFromEuler(tickEuler.set(replay.input.pitch, replay.input.yaw, 0, "YXZ"));
   }
 }
 
+/* ===================== Recording and Replay ===================== */
+// The record key (F8) starts and stops recording the inputs of every tick;
+// stopping downloads a replay file. Load Replay on the overlay plays one back
+// on a throwaway copy of the world: P pauses, [ and ] scrub a second (ten with
+// Shift) and F frees the camera, by default. Edits cannot be unwound, so
+// scrubbing re-runs from the start.
+const REPLAY_SCRUB_STEP = TICK_RATE; // ticks per [ or ]
+const FREE_CAMERA_SPEED = 12;
+
+let recorder = null; // { header, baseKeys, ticks, looseActions, touched, unloaded }
+let replay = null; // { recording, base, tick, paused, freeCam, input, result }
+
+const replayInfo = document.getElementById("replayInfo");
+const exitReplayButton = document.getElementById("exitReplay");
+
+// Stands in for the player while the replay camera is free
+const replayMarker = new THREE.Mesh(
+  new THREE.BoxGeometry(player.halfWidth * 2, player.height, player.halfWidth * 2),
+  new THREE.MeshBasicMaterial({ color: 0xff4060, wireframe: true })
+);
+replayMarker.visible = false;
+scene.add(replayMarker);
+
+/* ===== Recording ===== */
+async function startRecording() {
+  if (recorder || replay || !currentWorld) return;
+
+  // The file carries every chunk that differs from generation
+  const world = currentWorld;
+  const edited = new Set([...savedChunkKeys, ...chunkRevisions.keys()]);
+  for (const key of edited) {
+    if (chunkData.has(key)) continue;
+    const data = await loadChunk(world, key);
+    if (world !== currentWorld || recorder) return;
+    if (data && !chunkData.has(key)) chunkData.set(key, decodeSavedChunk(data));
+  }
+
+  const base = [...edited].filter((key) => chunkData.has(key)).map((key) => [key, chunkData.get(key)]);
+  recorder = {
+    header: {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      world,
+      recorded: Date.now(),
+      tickRate: TICK_RATE,
+      chunkSize: CHUNK_SIZE,
+      terrain: worldTerrain,
+      start: {
+        position: player.position.toArray(),
+        velocity: velocity.toArray(),
+        onGround: player.onGround,
+        flying: !!player.flying
+      },
+      base: encodeChunkSet(base, CHUNK_SIZE)
+    },
+    baseKeys: base.map(([key]) => key),
+    ticks: [],
+    looseActions: [], // edits and actions made between ticks (builder, undo, console), replayed at the next tick
+    touched: new Set(),
+    unloaded: new Map() // tick -> Set of chunk keys the tick found still loading
+  };
+}
+
+function stopRecording() {
+  if (!recorder) return;
+  const { header, baseKeys, ticks, looseActions, touched, unloaded } = recorder;
+  recorder = null;
+
+  const keys = new Set([...baseKeys, ...touched]);
+  const recording = {
+    ...header,
+    ticks,
+    unloaded: Object.fromEntries([...unloaded].map(([t, set]) => [t, [...set]])),
+    end: {
+      position: player.position.toArray(),
+      actions: looseActions,
+      chunks: encodeChunkSet([...keys].map((key) => [key, chunkData.get(key) ?? []]), CHUNK_SIZE)
+    }
+  };
+  const stamp = new Date(header.recorded).toISOString().replace(/[:.]/g, "-");
+  downloadBlob(
+    new Blob([JSON.stringify(recording)], { type: "application/json" }),
+    `${header.world}-${stamp}.replay.json`
+  );
+}
+
+// Chunks stopRecording will read back from chunkData
+const recorderNeeds = (key) => !!recorder && (recorder.touched.has(key) || recorder.baseKeys.includes(key));
+
+// Called for every applied edit, see onBlockChanged
+function recordEdit(x, y, z, after) {
+  if (!recorder) return;
+  recorder.touched.add(getChunkKey({ x, y, z }));
+  // Edits made by a tick are already in that tick's input
+  if (!inTick) {
+    recorder.looseActions.push(after ? { kind: "place", x, y, z, type: after } : { kind: "destroy", x, y, z });
+  }
+}
+
+// Player actions applied between ticks (console commands, scripts)
+function recordLooseAction(action) {
+  if (recorder && !inTick) recorder.looseActions.push(action);
+}
+
+// A tick looked into a chunk that had not loaded; recordTick has already
+// pushed that tick's input
+function recordUnloaded(x, y, z) {
+  if (!recorder) return;
+  const t = recorder.ticks.length - 1;
+  if (!recorder.unloaded.has(t)) recorder.unloaded.set(t, new Set());
+  recorder.unloaded.get(t).add(getChunkKey({ x, y, z }));
+}
+
+function recordTick(input) {
+  if (!recorder) return;
+  const actions = recorder.looseActions.splice(0).concat(input.actions);
+  recorder.ticks.push(encodeInput({ ...input, actions }));
+}
+
+/* ===== Replay ===== */
+async function startReplay(recording) {
+  if (recording.chunkSize !== CHUNK_SIZE) throw new Error(`Recorded with chunk size ${recording.chunkSize}`);
+  stopRecording();
+  await flushDirtyChunks();
+  leaveServer();
+  builderMode = false;
+  updateSelectionHelper();
+  replay = {
+    recording,
+    base: decodeChunkSet(recording.base, CHUNK_SIZE),
+    tick: 0,
+    paused: false,
+    freeCam: false,
+    input: null,
+    result: null
+  };
+  resetReplayWorld();
+  exitReplayButton.hidden = false;
+}
+
+// Leaves the replay without opening anything; openWorld calls this
+function endReplay() {
+  if (!replay) return;
+  replay = null;
+  replayMarker.visible = false;
+  exitReplayButton.hidden = true;
+}
+
+// Back to the state the recording started from
+function resetReplayWorld() {
+  closeWorld();
+  const { recording, base } = replay;
+  worldTerrain = recording.terrain;
+  for (const [key, arr] of base) chunkData.set(key, arr.map((c) => c.slice()));
+  teleportPlayer(...recording.start.position);
+  velocity.fromArray(recording.start.velocity);
+  player.onGround = recording.start.onGround;
+  player.flying = !!recording.start.flying;
+  replay.tick = 0;
+  replay.input = null;
+  replay.result = null;
+  tickCount = 0;
+}
+
+function runReplayTick() {
+  const { recording } = replay;
+  replay.input = decodeInput(recording.ticks[replay.tick++]);
+  tick(replay.input);
+  if (replay.tick === recording.ticks.length) finishReplay();
+}
+
+// Whether the replay's current tick found this cell's chunk still loading
+// when it was recorded
+function unloadedInReplay(x, y, z) {
+  const keys = replay?.recording.unloaded?.[replay.tick - 1];
+  return !!keys && keys.includes(getChunkKey({ x, y, z }));
+}
+
+function stepReplay() {
+  if (replay.paused || replay.tick >= replay.recording.ticks.length) {
+    prevPlayerPos.copy(player.position);
+    return;
+  }
+  runReplayTick();
+}
+
+// Applies edits made after the last tick and checks the result against the file
+function finishReplay() {
+  const { end } = replay.recording;
+  for (const action of end.actions ?? []) applyAction(action);
+
+  const expected = decodeChunkSet(end.chunks, CHUNK_SIZE);
+  const differing = diffChunkSets(expected, chunkData, expected.keys());
+  const samePosition = player.position.toArray().every((v, i) => v === end.position[i]);
+  if (differing.length === 0 && samePosition) {
+    replay.result = "matches the recording";
+    return;
+  }
+  replay.result = "differs from the recording";
+  console.warn("Replay diverged from the recording", {
+    chunks: differing,
+    position: player.position.toArray(),
+    recordedPosition: end.position
+  });
+}
+
+function scrubReplay(ticks) {
+  const target = Math.max(0, Math.min(replay.recording.ticks.length, replay.tick + ticks));
+  resetReplayWorld();
+  while (replay.tick < target) runReplayTick();
+  prevPlayerPos.copy(player.position);
+}
+
+function moveFreeCamera(delta) {
+  const step = FREE_CAMERA_SPEED * (sprinting ? 2.5 : 1) * delta;
+  forward.set(0, 0, -1).applyQuaternion(camera.quaternion);
+  tmpVec.set(1, 0, 0).applyQuaternion(camera.quaternion);
+  if (move.forward) camera.position.addScaledVector(forward, step);
+  if (move.backward) camera.position.addScaledVector(forward, -step);
+  if (move.right) camera.position.addScaledVector(tmpVec, step);
+  if (move.left) camera.position.addScaledVector(tmpVec, -step);
+  if (move.jump) camera.position.y += step;
+}
+
+const formatTicks = (ticks) => `${(ticks / TICK_RATE).toFixed(1)}s`;
+
+function updateReplayInfo() {
+  let text = "";
+  if (recorder) {
+    text = `● REC ${formatTicks(recorder.ticks.length)} | ${boundKeyLabel("record")} stop`;
+  } else if (replay) {
+    const { tick: t, recording, paused, freeCam, result } = replay;
+    text = `Replay ${formatTicks(t)} / ${formatTicks(recording.ticks.length)}`;
+    if (paused) text += " (paused)";
+    if (freeCam) text += " | free camera";
+    if (result) text += ` | ${result}`;
+    text +=
+      ` | ${boundKeyLabel("replayPause")} pause, ${boundKeyLabel("scrubBack")} ${boundKeyLabel("scrubForward")} scrub,` +
+      ` ${boundKeyLabel("freeCamera")} free camera`;
+  }
+  replayInfo.style.display = text ? "" : "none";
+  replayInfo.textContent = text;
+}
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (isBound("record", e.code)) {
+    e.preventDefault();
+    if (recorder) stopRecording();
+    else startRecording().catch((err) => console.error("Failed to start recording", err));
+    return;
+  }
+  if (!replay) return;
+  const step = REPLAY_SCRUB_STEP * (e.shiftKey ? 10 : 1);
+  if (isBound("replayPause", e.code)) replay.paused = !replay.paused;
+  if (isBound("scrubBack", e.code)) scrubReplay(-step);
+  if (isBound("scrubForward", e.code)) scrubReplay(step);
+  if (isBound("freeCamera", e.code)) {
+    replay.freeCam = !replay.freeCam;
+    replayMarker.visible = replay.freeCam;
+  }
+});
+
+const replayFile = document.getElementById("replayFile");
+document.getElementById("loadReplay").addEventListener("click", () => replayFile.click());
+replayFile.addEventListener("change", async () => {
+  const file = replayFile.files[0];
+  replayFile.value = "";
+  if (!file) return;
+  try {
+    await startReplay(validateRecording(JSON.parse(await file.text())));
+    await refreshWorldList();
+  } catch (err) {
+    console.error("Failed to load replay", err);
+    alert(`Could not load "${file.name}": ${err.message}`);
+  }
+});
+
+exitReplayButton.addEventListener("click", () => {
+  initWorlds().catch((err) => console.error("Failed to open world storage", err));
+});
+
+/* ===================== Debug Overlay ===================== */
+// F3-style readout for tuning: a frame time graph split into where the time
+// went, where the player is, and what is loaded and drawn. Chunk borders put
+// a wireframe box around every built chunk.
+const DEBUG_GRAPH_MS = 50; // frame time at the top of the graph
+const DEBUG_TEXT_INTERVAL = 250; // ms between text refreshes
+const DEBUG_AVERAGE_FRAMES = 60;
+const PROFILE_COLORS = { chunks: "#e0a040", physics: "#60c060", render: "#5090e0" };
+
+const debugHud = document.getElementById("debugHud");
+const debugText = debugHud.querySelector("div");
+const debugGraph = debugHud.querySelector("canvas"); // one column per frame
+const debugCtx = debugGraph.getContext("2d");
+let debugVisible = false;
+let debugTextAt = 0;
+
+const frameProfile = { chunks: 0, physics: 0, render: 0 }; // ms this frame, over all its ticks
+const frameHistory = []; // { total, ...frameProfile }, oldest first
+
+const chunkBorders = new Map(); // key -> Box3Helper
+let chunkBordersVisible = false;
+
+function profiled(part, fn) {
+  const start = performance.now();
+  const result = fn();
+  frameProfile[part] += performance.now() - start;
+  return result;
+}
+
+function averageFrame(part) {
+  const recent = frameHistory.slice(-DEBUG_AVERAGE_FRAMES);
+  return recent.reduce((sum, frame) => sum + frame[part], 0) / Math.max(1, recent.length);
+}
+
+function debugLines() {
+  const p = player.position;
+  const frameMs = averageFrame("total");
+  const instances = {};
+  let greedyMeshes = 0;
+  for (const rec of chunks.values()) {
+    for (const type in rec.counts) instances[type] = (instances[type] ?? 0) + rec.counts[type];
+    greedyMeshes += Object.keys(rec.greedyMeshes).length;
+  }
+  const instanceList = Object.entries(instances)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${type} ${count}`);
+  const { calls, triangles } = renderer.info.render;
+  const ms = (part) => `${averageFrame(part).toFixed(2)} ms`;
+
+  return [
+    `${(1000 / frameMs).toFixed(0)} fps, ${frameMs.toFixed(1)} ms/frame, tick ${tickCount} at ${TICK_RATE} Hz`,
+    `xyz ${p.x.toFixed(2)} ${p.y.toFixed(2)} ${p.z.toFixed(2)}${player.onGround ? ", on ground" : ""}`,
+    `chunk ${getChunkKey(p)}, cell ${getCellKey(p)}`,
+    `chunks ${chunks.size} built, ${chunkCache.size} cached, ${lodChunks.size} lod, ${impostors.size} far`,
+    `chunk data ${chunkData.size} chunks, ${chunkDataBlocks} blocks`,
+    `worker jobs ${chunkJobs.size + lodJobs.size + impostorJobs.size}, ready ${readyChunks.length}`,
+    meshMode === "greedy" ? `greedy meshes ${greedyMeshes}` : `instances ${instanceList.join(", ") || "none"}`,
+    `draw calls ${calls}, triangles ${triangles}`,
+    `updateChunks ${ms("chunks")}, player physics ${ms("physics")}, render ${ms("render")}`
+  ];
+}
+
+// Bars of frame time, the profiled parts stacked at their foot; lines at 60 and 30 fps
+function drawDebugGraph() {
+  const { width, height } = debugGraph;
+  const scale = height / DEBUG_GRAPH_MS;
+  debugCtx.clearRect(0, 0, width, height);
+  frameHistory.forEach((frame, i) => {
+    const x = width - frameHistory.length + i;
+    debugCtx.fillStyle = "rgba(255,255,255,0.3)";
+    debugCtx.fillRect(x, height - frame.total * scale, 1, frame.total * scale);
+    let y = height;
+    for (const part in PROFILE_COLORS) {
+      const h = frame[part] * scale;
+      y -= h;
+      debugCtx.fillStyle = PROFILE_COLORS[part];
+      debugCtx.fillRect(x, y, 1, h);
+    }
+  });
+  debugCtx.fillStyle = "rgba(255,255,255,0.7)";
+  for (const ms of [1000 / 60, 1000 / 30]) debugCtx.fillRect(0, Math.round(height - ms * scale), width, 1);
+}
+
+function updateChunkBorders() {
+  for (const [key, helper] of chunkBorders) {
+    if (chunkBordersVisible && chunks.has(key)) continue;
+    scene.remove(helper);
+    helper.geometry.dispose();
+    helper.material.dispose();
+    chunkBorders.delete(key);
+  }
+  if (!chunkBordersVisible) return;
+  for (const key of chunks.keys()) {
+    if (chunkBorders.has(key)) continue;
+    const helper = new THREE.Box3Helper(chunkBox(key), 0xffff00);
+    scene.add(helper);
+    chunkBorders.set(key, helper);
+  }
+}
+
+// Every frame, after rendering
+function updateDebugHud(time, delta) {
+  frameHistory.push({ total: delta * 1000, ...frameProfile });
+  if (frameHistory.length > debugGraph.width) frameHistory.shift();
+  for (const part in frameProfile) frameProfile[part] = 0;
+  updateChunkBorders();
+  if (!debugVisible) return;
+
+  drawDebugGraph();
+  if (time - debugTextAt < DEBUG_TEXT_INTERVAL) return;
+  debugTextAt = time;
+  debugText.textContent = debugLines().join("\n");
+}
+
+document.addEventListener("keydown", (e) => {
+  if (typingInField(e)) return;
+  if (isBound("debugHud", e.code)) {
+    e.preventDefault(); // F3 would open the browser's find bar
+    debugVisible = !debugVisible;
+    debugHud.style.display = debugVisible ? "" : "none";
+    debugTextAt = 0;
+  }
+  if (isBound("chunkBorders", e.code)) {
+    e.preventDefault();
+    chunkBordersVisible = !chunkBordersVisible;
+  }
+});
+
+/* ===================== Developer Console ===================== */
+// Slash commands typed in game (see commands.js), and the same operations as
+// window.game for scripting builds and automated tests from the browser's
+// devtools. Both only reach the world through the functions clicks use, so
+// edits are undoable, saved, sent to the server and recorded.
+const CONSOLE_LOG_LINES = 50;
+
+const consoleEl = document.getElementById("console");
+const consoleLog = document.getElementById("consoleLog");
+const consoleInput = document.getElementById("consoleInput");
+const consoleHistory = []; // lines entered, oldest first
+let consoleHistoryAt = 0;
+let consoleOpen = false;
+
+const gameListeners = new Map(); // event -> Set of callbacks
+
+function emitGameEvent(event, detail) {
+  for (const fn of gameListeners.get(event) ?? []) {
+    try {
+      fn(detail);
+    } catch (err) {
+      console.error(`A ${event} listener failed`, err);
+    }
+  }
+}
+
+function requireWorld() {
+  if (!worldIsOpen()) throw new Error("No world is open");
+  if (replay) throw new Error("Not while watching a replay");
+}
+
+function requirePlaceable(type) {
+  if (!Object.hasOwn(BLOCKS, type)) throw new Error(`Unknown block ${type}`);
+  if (!isPlaceableBlock(type)) throw new Error(`${getBlock(type).name} cannot be placed`);
+}
+
+/* ===== Operations ===== */
+// Player actions from outside the tick: applied now and recorded for the next tick
+function applyLooseAction(action) {
+  applyAction(action);
+  recordLooseAction(action);
+}
+
+function fillBox(a, b, type) {
+  requireWorld();
+  if (type !== null) requirePlaceable(type);
+  const min = a.map((v, i) => Math.floor(Math.min(v, b[i])));
+  const max = a.map((v, i) => Math.floor(Math.max(v, b[i])));
+  const volume = max.reduce((n, v, i) => n * (v - min[i] + 1), 1);
+  if (volume > MAX_SELECTION_VOLUME) throw new Error(`${volume} cells, fill is limited to ${MAX_SELECTION_VOLUME}`);
+
+  let changed = 0;
+  withEditGroup(() => {
+    for (let x = min[0]; x <= max[0]; x++) {
+      for (let y = min[1]; y <= max[1]; y++) {
+        for (let z = min[2]; z <= max[2]; z++) {
+          const current = getCellType(x, y, z);
+          if (current === type || isUnbreakable(current)) continue; // not loaded is undefined, so still filled
+          setBlockAt(x + 0.5, y + 0.5, z + 0.5, type);
+          changed++;
+        }
+      }
+    }
+  });
+  return changed;
+}
+
+// Into the selected hotbar slot unless the hotbar has it already
+function giveBlock(type, count = 1) {
+  requirePlaceable(type);
+  if (!hotbar.includes(type)) setHotbarSlot(selectedSlot, type);
+  selectSlot(hotbar.indexOf(type));
+  return survival ? addItem(survival, type, count) : count;
+}
+
+async function setGameMode(mode) {
+  if (!currentWorld) throw new Error("Game modes need a saved world");
+  const on = mode === "survival";
+  if (on === !!survival) return;
+  survival = on ? createSurvivalState() : null;
+  miningHeld = false;
+  builderMode = false; // creative only, and switched off going back so it is not a surprise
+  updateSelectionHelper();
+  const world = await getWorld(currentWorld);
+  if (world) await putWorld({ ...world, survival: on });
+}
+
+/* ===== Commands ===== */
+const formatPosition = (p) => p.map((v) => v.toFixed(2)).join(" ");
+
+// Each returns the text to show, or a promise of it
+const COMMAND_HANDLERS = {
+  tp(x, y, z) {
+    game.teleport(x, y, z);
+    return `Teleported to ${formatPosition([x, y, z])}`;
+  },
+  give(type, count = 1) {
+    const given = giveBlock(type, count);
+    return `Gave ${given} ${getBlock(type).name}`;
+  },
+  fill(x1, y1, z1, x2, y2, z2, type) {
+    return `${fillBox([x1, y1, z1], [x2, y2, z2], type)} blocks changed`;
+  },
+  seed() {
+    return worldTerrain ? `Seed ${worldTerrain.seed}` : "Flat world, no seed";
+  },
+  time(t) {
+    if (t !== undefined) timeOfDay = wrapTime(t);
+    return `Time ${clockTime(timeOfDay)}`;
+  },
+  async gamemode(mode) {
+    await setGameMode(mode);
+    return `Game mode ${mode}`;
+  },
+  fly(state) {
+    game.setFly(state ? state === "on" : !player.flying);
+    return player.flying ? "Flying, noclip" : "Walking";
+  },
+  async export() {
+    await game.exportWorld();
+    return `Exported ${currentWorld}`;
+  },
+  help(name) {
+    if (name) return `${commandUsage(name)}\n  ${COMMANDS[name].help}`;
+    return Object.keys(COMMANDS)
+      .map((n) => `${commandUsage(n)}  ${COMMANDS[n].help}`)
+      .join("\n");
+  }
+};
+
+async function runCommand(line) {
+  const p = player.position;
+  const { name, args } = parseCommand(line, [p.x, p.y, p.z]);
+  return COMMAND_HANDLERS[name](...args);
+}
+
+/* ===== Scripting API ===== */
+// window.game. Cells are integer coordinates (the block from x to x + 1);
+// positions are feet positions in blocks.
+//   getBlock(x, y, z)                   type, null for air, undefined while not loaded
+//   setBlock(x, y, z, type)             type or null for air, as one undo step
+//   fill([x, y, z], [x, y, z], type)    both corners included; returns cells changed
+//   player                              { position, velocity, onGround, flying, health, inventory }
+//   teleport(x, y, z)
+//   give(type, count = 1)               returns how many fitted
+//   seed                                null for flat worlds
+//   time, setTime(t)                    0..1, see dayCycle.js
+//   gameMode, setGameMode(mode)         "creative" | "survival"; a promise
+//   setFly(on)                          noclip flight
+//   exportWorld()                       downloads the world file; a promise
+//   command(line)                       runs a console command; a promise of its output
+//   on(event, fn), off(event, fn)       "blockchange" with { x, y, z, before, after }
+const game = {
+  getBlock: (x, y, z) => getCellType(Math.floor(x), Math.floor(y), Math.floor(z)),
+  setBlock(x, y, z, type) {
+    requireWorld();
+    if (type !== null) requirePlaceable(type);
+    withEditGroup(() => setBlockAt(Math.floor(x) + 0.5, Math.floor(y) + 0.5, Math.floor(z) + 0.5, type));
+  },
+  fill: (a, b, type) => fillBox(a, b, type),
+  get player() {
+    return {
+      position: player.position.toArray(),
+      velocity: player.velocity.toArray(),
+      onGround: player.onGround,
+      flying: !!player.flying,
+      health: survival ? survival.health : null,
+      inventory: survival ? { ...survival.inventory } : null
+    };
+  },
+  teleport(x, y, z) {
+    requireWorld();
+    applyLooseAction({ kind: "teleport", position: [x, y, z] });
+  },
+  give: (type, count = 1) => giveBlock(type, count),
+  get seed() {
+    return worldTerrain ? worldTerrain.seed : null;
+  },
+  get time() {
+    return timeOfDay;
+  },
+  setTime(t) {
+    timeOfDay = wrapTime(t);
+  },
+  get gameMode() {
+    return survival ? "survival" : "creative";
+  },
+  setGameMode,
+  setFly(on) {
+    requireWorld();
+    applyLooseAction({ kind: "fly", on: !!on });
+  },
+  exportWorld() {
+    if (!currentWorld) return Promise.reject(new Error("Only saved worlds can be exported"));
+    return exportWorld();
+  },
+  command: (line) => runCommand(line),
+  on(event, fn) {
+    if (!gameListeners.has(event)) gameListeners.set(event, new Set());
+    gameListeners.get(event).add(fn);
+  },
+  off(event, fn) {
+    gameListeners.get(event)?.delete(fn);
+  }
+};
+window.game = game;
+
+/* ===== Console UI ===== */
+function printConsole(text, error = false) {
+  for (const line of String(text).split("\n")) {
+    const row = document.createElement("div");
+    row.textContent = line;
+    if (error) row.className = "error";
+    consoleLog.append(row);
+  }
+  while (consoleLog.childElementCount > CONSOLE_LOG_LINES) consoleLog.firstElementChild.remove();
+  consoleLog.scrollTop = consoleLog.scrollHeight;
+}
+
+function openConsole() {
+  consoleOpen = true;
+  for (const key in move) move[key] = false; // their keyups go to the console
+  sprinting = false;
+  miningHeld = false;
+  consoleEl.style.display = "";
+  consoleInput.value = "/";
+  consoleHistoryAt = consoleHistory.length;
+  controls.unlock(); // frees the mouse; the overlay stays hidden until the console closes
+  consoleInput.focus();
+}
+
+function closeConsole() {
+  consoleOpen = false;
+  consoleEl.style.display = "none";
+  consoleInput.blur();
+  // Escape does not count as a user gesture, so the pointer cannot be locked
+  // again from here; the overlay's next click does it
+  overlay.style.display = "";
+}
+
+function submitConsoleLine() {
+  const line = consoleInput.value.trim();
+  consoleInput.value = "/";
+  if (line === "" || line === "/") return;
+  consoleHistory.push(line);
+  consoleHistoryAt = consoleHistory.length;
+  printConsole(`> ${line}`);
+  runCommand(line)
+    .then((output) => output && printConsole(output))
+    .catch((err) => printConsole(err.message, true));
+}
+
+// Capture phase, like rebinding: while the console is open every key is typing
+window.addEventListener(
+  "keydown",
+  (e) => {
+    if (!consoleOpen) {
+      if (!isBound("console", e.code) || !controls.isLocked) return;
+      e.preventDefault(); // the key is not typed, and Firefox's quick find stays shut
+      e.stopImmediatePropagation();
+      openConsole();
+      return;
+    }
+    e.stopImmediatePropagation();
+    if (e.code === "Enter") {
+      e.preventDefault();
+      submitConsoleLine();
+    } else if (e.code === "Escape") {
+      e.preventDefault();
+      closeConsole();
+    } else if (e.code === "ArrowUp" || e.code === "ArrowDown") {
+      e.preventDefault();
+      consoleHistoryAt = Math.max(0, Math.min(consoleHistory.length, consoleHistoryAt + (e.code === "ArrowUp" ? -1 : 1)));
+      consoleInput.value = consoleHistory[consoleHistoryAt] ?? "/";
+    }
+  },
+  true
+);
+
 /* ===================== Animate Loop ===================== */
 let prevTime = performance.now();
 function animate() {
@@ -600,75 +3691,23 @@ function animate() {
   const delta = (time - prevTime) / 1000;
   prevTime = time;
 
-  if (controls.isLocked) {
-    direction.set(0, 0, 0);
-    if (move.forward) direction.z -= 1;
-    if (move.backward) direction.z += 1;
-    if (move.left) direction.x -= 1;
-    if (move.right) direction.x += 1;
-    direction.normalize();
-
-    tmpVec.set(direction.x, 0, direction.z).applyQuaternion(camera.quaternion);
-    const speed = sprinting ? baseSpeed * sprintMultiplier : baseSpeed;
-    velocity.x += tmpVec.x * speed * delta;
-    velocity.z += tmpVec.z * speed * delta;
-
-    velocity.x -= velocity.x * 10 * delta;
-    velocity.z -= velocity.z * 10 * delta;
-    velocity.y -= gravity * delta;
-
-    const obj = controls.getObject();
-    obj.position.addScaledVector(velocity, delta);
-
-    // Update player hitbox from object position
-    const feet = obj.position.clone().setY(obj.position.y - (capsuleHeight - capsuleRadius));
-    const head = obj.position.clone();
-    playerCollider.start.copy(feet);
-    playerCollider.end.copy(head);
-
-    // Collisions against occupied cells (axis-aligned boxes)
-    resolveCollisions(velocity);
-    obj.position.copy(playerCollider.end);
-
-    // Ground check
-    canJump = false;
-    const min = playerCollider.start.clone().subScalar(capsuleRadius + cubeSize);
-    const max = playerCollider.end.clone().addScalar(capsuleRadius + cubeSize);
-    outer: for (let x = Math.floor(min.x); x <= Math.floor(max.x); x++)
-      for (let y = Math.floor(min.y); y <= Math.floor(max.y); y++)
-        for (let z = Math.floor(min.z); z <= Math.floor(max.z); z++) {
-          const rec = getChunkRecordAtCell(x, y, z);
-          if (!rec) continue;
-          const ck = getCellKey({ x, y, z });
-          if (!rec.occupancy.has(ck)) continue;
-
-          tmpBox.setFromCenterAndSize(
-            tmpPos.set(x + 0.5, y + 0.5, z + 0.5),
-            tmpVec.set(1, 1, 1)
-          );
-          tmpBox.clampPoint(playerCollider.start, tmpClosest);
-          if (
-            playerCollider.start.distanceTo(tmpClosest) <= capsuleRadius + 0.01 &&
-            velocity.y <= 0
-          ) {
-            canJump = true;
-            velocity.y = Math.max(0, velocity.y);
-            break outer;
-          }
-        }
-
-    if (obj.position.y < eyeHeight) {
-      velocity.y = 0;
-      obj.position.y = eyeHeight;
-      canJump = true;
-    }
-  }
+  const alpha = advanceSimulation(delta);
+  updateCameraFromPlayer(alpha);
+  updateMobMeshes(alpha);
+  if (replay && replay.freeCam) moveFreeCamera(delta);
+  updateReplayInfo();
+  updateAvatars(time);
+  updateDayCycle(delta);
+  cullChunks();
+  updateDropMeshes(time);
+  updateSurvivalHud();
 
   updateGhostCube();
-  updateChunks();
   updateGridTiles()
   updateSolidGrayPlanes();
-  renderer.render(scene, camera);
+  profiled("render", () => renderer.render(scene, camera));
+  updateMeshStats();
+  updateDebugHud(time, delta);
 }
 
 /* ===================== Grid Helper ===================== */
@@ -706,10 +3745,10 @@ function updateGridTiles() {
 
 /* ===================== Base Floor ===================== */
 const solidGrayPlanes = [];
-const GRAY_PLANE_Y = GRID_HEIGHT - 3; // 3 layers down
+const GRAY_PLANE_Y = WORLD_BOTTOM; // under the lowest generated layer
 const planeSize = GRID_TILE_SIZE;     // same size as grid tiles
 const planeSegments = 1;              // flat plane
-const grayMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
+const grayMat = litMaterial(new THREE.MeshStandardMaterial({ color: 0x888888 }));
 
 for (let dx = -1; dx <= 1; dx++) {
   for (let dz = -1; dz <= 1; dz++) {
@@ -748,8 +3787,10 @@ scene.traverse((obj) => {
 window.addEventListener("resize", () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
+  csm.updateFrustums();
   renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
 /* ===================== Start ===================== */
+initWorlds().catch((err) => console.error("Failed to open world storage", err));
 animate();
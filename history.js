@@ -0,0 +1,74 @@
+/* ===================== Edit History ===================== */
+// Undo/redo stacks of block edits. An op is { x, y, z, before, after } where
+// before/after are block types, or null for air. Ops recorded between
+// begin() and end() form one step; groups may nest.
+export function createEditHistory(limit = 256) {
+  const undoStack = [];
+  const redoStack = [];
+  let group = null;
+  let depth = 0;
+  let paused = 0;
+
+  function push(step) {
+    undoStack.push(step);
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+  }
+
+  return {
+    record(op) {
+      if (paused) return;
+      if (group) group.push(op);
+      else push([op]);
+    },
+
+    begin() {
+      if (depth++ === 0) group = [];
+    },
+
+    end() {
+      if (depth === 0) return;
+      if (--depth > 0) return;
+      if (group.length) push(group);
+      group = null;
+    },
+
+    // Runs fn without recording, e.g. while undo itself applies ops
+    silently(fn) {
+      paused++;
+      try {
+        return fn();
+      } finally {
+        paused--;
+      }
+    },
+
+    // Each returns the step's ops, or null when there is nothing to do
+    undo() {
+      const step = undoStack.pop();
+      if (!step) return null;
+      redoStack.push(step);
+      return step;
+    },
+
+    redo() {
+      const step = redoStack.pop();
+      if (!step) return null;
+      undoStack.push(step);
+      return step;
+    },
+
+    // Calls fn(op) for every op that undo or redo may still apply
+    forEachOp(fn) {
+      for (const step of undoStack) step.forEach(fn);
+      for (const step of redoStack) step.forEach(fn);
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      group = null;
+      depth = 0;
+    }
+  };
+}
@@ -0,0 +1,291 @@
+/* ===================== Voxel Lighting ===================== */
+// Flood-fill light over the loaded chunks, no three.js. Every cell has two
+// channels of 0..MAX_LIGHT, packed into one byte per cell (sky << 4 | block):
+//   sky    sunlight: full strength falls straight down through open cells and
+//          loses one level per step in any other direction
+//   block  light given off by blocks such as lamps, one level less per step
+// Light moves only through open cells (air and transparent blocks) and stops
+// at chunks that are not loaded; those pull it in from their neighbours when
+// they are added. Where the chunk above is not loaded, sunlight enters the top
+// layer wherever the world says the column is open to the sky.
+//
+// world: {
+//   isOpaque(x, y, z)   the cell blocks light (integer cell coordinates)
+//   emission(x, y, z)   block light the cell gives off, 0..MAX_LIGHT
+//   isSky(x, y, z)      the cell, in a chunk that is not loaded, sees the sky
+// }
+
+export const MAX_LIGHT = 15;
+export const SKY = 4; // channel = bit shift within the packed byte
+export const BLOCK = 0;
+
+// Level -> brightness factor; each step is 20% darker
+export const LIGHT_CURVE = Array.from({ length: MAX_LIGHT + 1 }, (_, l) => 0.8 ** (MAX_LIGHT - l));
+
+const DIRS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1]
+];
+
+export function createLightEngine(size, world) {
+  const chunks = new Map(); // key -> Uint8Array(size^3), x fastest then y then z
+  const changed = new Set(); // keys of chunks whose faces may look different
+  const addQueue = []; // x, y, z, ...
+  const removeQueue = []; // x, y, z, level, ...
+  const chunkKey = (cx, cy, cz) => `${cx},${cy},${cz}`;
+
+  // locate() leaves the cell's chunk array here, so callers can index it
+  let cacheCx = NaN;
+  let cacheCy = NaN;
+  let cacheCz = NaN;
+  let cacheArr = null;
+  const resetCache = () => (cacheCx = cacheCy = cacheCz = NaN);
+
+  // Index of the cell in its chunk's array, or -1 if the chunk is not loaded
+  function locate(x, y, z) {
+    const cx = Math.floor(x / size);
+    const cy = Math.floor(y / size);
+    const cz = Math.floor(z / size);
+    if (cx !== cacheCx || cy !== cacheCy || cz !== cacheCz) {
+      cacheCx = cx;
+      cacheCy = cy;
+      cacheCz = cz;
+      cacheArr = chunks.get(chunkKey(cx, cy, cz)) ?? null;
+    }
+    if (!cacheArr) return -1;
+    return x - cx * size + (y - cy * size + (z - cz * size) * size) * size;
+  }
+
+  // -1 for cells in chunks that are not loaded
+  function getLevel(x, y, z, shift) {
+    const i = locate(x, y, z);
+    return i < 0 ? -1 : (cacheArr[i] >> shift) & 15;
+  }
+
+  function setLevel(x, y, z, shift, level) {
+    const i = locate(x, y, z);
+    if (i < 0) return;
+    cacheArr[i] = (cacheArr[i] & ~(15 << shift)) | (level << shift);
+    markChanged(x, y, z);
+  }
+
+  // A cell's light shows on the faces around it, which may belong to the
+  // neighbouring chunk when the cell is on a border
+  function markChanged(x, y, z) {
+    const cx = Math.floor(x / size);
+    const cy = Math.floor(y / size);
+    const cz = Math.floor(z / size);
+    changed.add(chunkKey(cx, cy, cz));
+    const lx = x - cx * size;
+    const ly = y - cy * size;
+    const lz = z - cz * size;
+    if (lx === 0) changed.add(chunkKey(cx - 1, cy, cz));
+    if (lx === size - 1) changed.add(chunkKey(cx + 1, cy, cz));
+    if (ly === 0) changed.add(chunkKey(cx, cy - 1, cz));
+    if (ly === size - 1) changed.add(chunkKey(cx, cy + 1, cz));
+    if (lz === 0) changed.add(chunkKey(cx, cy, cz - 1));
+    if (lz === size - 1) changed.add(chunkKey(cx, cy, cz + 1));
+  }
+
+  // Level the cell has on its own, whatever its neighbours do
+  function sourceLevel(x, y, z, shift) {
+    if (shift === BLOCK) return world.emission(x, y, z);
+    const cy = Math.floor(y / size);
+    const topLayer = y === cy * size + size - 1;
+    if (!topLayer || chunks.has(chunkKey(Math.floor(x / size), cy + 1, Math.floor(z / size)))) return 0;
+    return !world.isOpaque(x, y, z) && world.isSky(x, y + 1, z) ? MAX_LIGHT : 0;
+  }
+
+  const stepLevel = (shift, dy, level) => (shift === SKY && dy === -1 && level === MAX_LIGHT ? MAX_LIGHT : level - 1);
+
+  // Floods outwards from the cells in addQueue
+  function spread(shift) {
+    const q = addQueue;
+    for (let h = 0; h < q.length; h += 3) {
+      const x = q[h];
+      const y = q[h + 1];
+      const z = q[h + 2];
+      const level = getLevel(x, y, z, shift);
+      if (level <= 0) continue;
+      for (const [dx, dy, dz] of DIRS) {
+        const next = stepLevel(shift, dy, level);
+        if (next <= 0) continue;
+        const current = getLevel(x + dx, y + dy, z + dz, shift);
+        if (current < 0 || current >= next || world.isOpaque(x + dx, y + dy, z + dz)) continue;
+        setLevel(x + dx, y + dy, z + dz, shift, next);
+        q.push(x + dx, y + dy, z + dz);
+      }
+    }
+    q.length = 0;
+  }
+
+  // Darkens everything that was lit through the cells in removeQueue (already
+  // set to 0; the queue holds the level they had). Cells lit from elsewhere go
+  // to addQueue, so a spread() afterwards fills the gap back in.
+  function unspread(shift) {
+    const q = removeQueue;
+    const sources = [];
+    for (let h = 0; h < q.length; h += 4) {
+      const x = q[h];
+      const y = q[h + 1];
+      const z = q[h + 2];
+      const level = q[h + 3];
+      for (const [dx, dy, dz] of DIRS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const nz = z + dz;
+        const current = getLevel(nx, ny, nz, shift);
+        if (current <= 0) continue;
+        const litByUs = current < level || (current === MAX_LIGHT && stepLevel(shift, dy, level) === MAX_LIGHT);
+        if (litByUs) {
+          setLevel(nx, ny, nz, shift, 0);
+          q.push(nx, ny, nz, current);
+          sources.push(nx, ny, nz);
+        } else {
+          addQueue.push(nx, ny, nz);
+        }
+      }
+    }
+    q.length = 0;
+    for (let i = 0; i < sources.length; i += 3) {
+      const source = sourceLevel(sources[i], sources[i + 1], sources[i + 2], shift);
+      if (source <= 0) continue;
+      setLevel(sources[i], sources[i + 1], sources[i + 2], shift, source);
+      addQueue.push(sources[i], sources[i + 1], sources[i + 2]);
+    }
+  }
+
+  // Queues the lit cells of one size x size layer; axis 0/1/2 is x/y/z
+  function queueLayer(shift, axis, fixed, ox, oy, oz) {
+    const p = [ox, oy, oz];
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    const u0 = p[u];
+    const v0 = p[v];
+    p[axis] = fixed;
+    for (let a = 0; a < size; a++) {
+      for (let b = 0; b < size; b++) {
+        p[u] = u0 + a;
+        p[v] = v0 + b;
+        if (getLevel(p[0], p[1], p[2], shift) > 0) addQueue.push(p[0], p[1], p[2]);
+      }
+    }
+  }
+
+  // Pulls light in from the loaded chunks around, except the one below
+  function queueNeighbourBorders(shift, ox, oy, oz, withBelow) {
+    queueLayer(shift, 0, ox - 1, ox, oy, oz);
+    queueLayer(shift, 0, ox + size, ox, oy, oz);
+    queueLayer(shift, 2, oz - 1, ox, oy, oz);
+    queueLayer(shift, 2, oz + size, ox, oy, oz);
+    queueLayer(shift, 1, oy + size, ox, oy, oz);
+    if (withBelow) queueLayer(shift, 1, oy - 1, ox, oy, oz);
+  }
+
+  // emitters: [x, y, z, level] for the light-giving cells in the chunk
+  function addChunk(cx, cy, cz, emitters = []) {
+    const key = chunkKey(cx, cy, cz);
+    if (chunks.has(key)) return;
+    chunks.set(key, new Uint8Array(size ** 3));
+    resetCache();
+    const ox = cx * size;
+    const oy = cy * size;
+    const oz = cz * size;
+    const top = oy + size - 1;
+
+    // Sunlight from above and the sides
+    if (!chunks.has(chunkKey(cx, cy + 1, cz))) {
+      for (let x = ox; x < ox + size; x++) {
+        for (let z = oz; z < oz + size; z++) {
+          if (world.isOpaque(x, top, z) || !world.isSky(x, top + 1, z)) continue;
+          setLevel(x, top, z, SKY, MAX_LIGHT);
+          addQueue.push(x, top, z);
+        }
+      }
+    }
+    queueNeighbourBorders(SKY, ox, oy, oz, false);
+    spread(SKY);
+
+    // The chunk below guessed at open sky before this one was here
+    if (chunks.has(chunkKey(cx, cy - 1, cz))) {
+      for (let x = ox; x < ox + size; x++) {
+        for (let z = oz; z < oz + size; z++) {
+          if (getLevel(x, oy - 1, z, SKY) !== MAX_LIGHT || getLevel(x, oy, z, SKY) === MAX_LIGHT) continue;
+          setLevel(x, oy - 1, z, SKY, 0);
+          removeQueue.push(x, oy - 1, z, MAX_LIGHT);
+        }
+      }
+      unspread(SKY);
+      spread(SKY);
+      queueLayer(SKY, 1, oy - 1, ox, oy, oz);
+      spread(SKY);
+    }
+
+    for (const [x, y, z, level] of emitters) {
+      setLevel(x, y, z, BLOCK, level);
+      addQueue.push(x, y, z);
+    }
+    queueNeighbourBorders(BLOCK, ox, oy, oz, true);
+    spread(BLOCK);
+
+    // Faces on the borders changed too, even where the light is 0
+    changed.add(key);
+    for (const [dx, dy, dz] of DIRS) changed.add(chunkKey(cx + dx, cy + dy, cz + dz));
+  }
+
+  function removeChunk(cx, cy, cz) {
+    const key = chunkKey(cx, cy, cz);
+    chunks.delete(key);
+    changed.delete(key);
+    resetCache();
+  }
+
+  // After the block in a loaded cell changed: takes away the light that went
+  // through it, then lets its own and its neighbours' light back in
+  function updateCell(x, y, z) {
+    if (locate(x, y, z) < 0) return;
+    for (const shift of [SKY, BLOCK]) {
+      const old = getLevel(x, y, z, shift);
+      setLevel(x, y, z, shift, 0);
+      removeQueue.push(x, y, z, old);
+      unspread(shift);
+
+      const source = sourceLevel(x, y, z, shift);
+      if (source > 0) {
+        setLevel(x, y, z, shift, source);
+        addQueue.push(x, y, z);
+      }
+      if (!world.isOpaque(x, y, z)) {
+        for (const [dx, dy, dz] of DIRS) {
+          if (getLevel(x + dx, y + dy, z + dz, shift) > 0) addQueue.push(x + dx, y + dy, z + dz);
+        }
+      }
+      spread(shift);
+    }
+  }
+
+  // Packed sky << 4 | block byte, or -1 if the chunk is not loaded
+  function getLight(x, y, z) {
+    const i = locate(x, y, z);
+    return i < 0 ? -1 : cacheArr[i];
+  }
+
+  // Loaded chunks whose light changed since the last call
+  function takeChanged() {
+    const keys = [...changed].filter((key) => chunks.has(key));
+    changed.clear();
+    return keys;
+  }
+
+  function clear() {
+    chunks.clear();
+    changed.clear();
+    resetCache();
+  }
+
+  return { addChunk, removeChunk, updateCell, getLight, takeChanged, clear };
+}
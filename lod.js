@@ -0,0 +1,108 @@
+/* ===================== Level of Detail ===================== */
+// Cheaper stand-ins for chunks past the full-detail range, no three.js, so
+// the chunk workers can build them.
+//
+// Downsampled chunks: every scale^3 block cube of a chunk becomes one coarse
+// cell, filled when at least half of it is, and of the type of its topmost
+// block (so hillsides stay grass, not dirt). The result is a padded grid of
+// (size / scale + 2)^3 palette ids with an air border, ready for greedyMesh;
+// the mesh comes out in coarse cells and is drawn scaled up by `scale`.
+//
+// Impostors: one chunk column of generated terrain as a heightmap surface,
+// sampled every `step` blocks. Edits are not seen; by the time a column is
+// this far away they are too small to make out anyway.
+//   { positions, colors, indices, minY, maxY }
+//   positions are local to the column's minimum corner, colors are linear 0..1
+import { createPaddedGrid, paddedIndex } from "./mesher.js";
+import { BLOCKS, fluidLevel } from "./blocks.js";
+import { SEA_LEVEL, surfaceHeight } from "./terrain.js";
+
+// arr: [x, y, z, type] cell centres of chunk (cx, cy, cz), as in chunkData
+// Returns { grid, palette } like the main thread's buildChunkGrid
+export function downsampleChunk(arr, cx, cy, cz, size, scale = 2) {
+  const coarse = size / scale;
+  const count = new Uint16Array(coarse ** 3);
+  const topY = new Int16Array(coarse ** 3).fill(-1);
+  const topType = new Array(coarse ** 3);
+  for (const [x, y, z, type] of arr) {
+    if (fluidLevel(type) > 0) continue; // flowing water is too thin to show
+    const lx = Math.floor(x) - cx * size;
+    const ly = Math.floor(y) - cy * size;
+    const lz = Math.floor(z) - cz * size;
+    const i = Math.floor(lx / scale) + Math.floor(ly / scale) * coarse + Math.floor(lz / scale) * coarse * coarse;
+    count[i]++;
+    if (ly > topY[i]) {
+      topY[i] = ly;
+      topType[i] = type;
+    }
+  }
+
+  const grid = createPaddedGrid(coarse);
+  const palette = [];
+  const ids = new Map();
+  const half = scale ** 3 / 2;
+  for (let z = 0; z < coarse; z++) {
+    for (let y = 0; y < coarse; y++) {
+      for (let x = 0; x < coarse; x++) {
+        const i = x + y * coarse + z * coarse * coarse;
+        if (count[i] < half) continue;
+        const type = topType[i];
+        if (!ids.has(type)) {
+          palette.push(type);
+          ids.set(type, palette.length);
+        }
+        grid[paddedIndex(coarse, x, y, z)] = ids.get(type);
+      }
+    }
+  }
+  return { grid, palette };
+}
+
+// terrain: { seed, caves } or null for flat worlds, as in generateWorldChunk
+export function buildImpostor(terrain, cx, cz, size, step = 4) {
+  const n = size / step;
+  const row = n + 1;
+  const positions = new Float32Array(row * row * 3);
+  const colors = new Float32Array(row * row * 3);
+  const indices = new Uint32Array(n * n * 6);
+  const sand = linearColor(BLOCKS.sand.color);
+  const grass = linearColor(BLOCKS.green.color);
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  for (let j = 0; j <= n; j++) {
+    for (let i = 0; i <= n; i++) {
+      const height = surfaceHeight(terrain, cx * size + i * step, cz * size + j * step);
+      const y = height + 1; // the top face of the surface block
+      const v = (i + j * row) * 3;
+      positions[v] = i * step;
+      positions[v + 1] = y;
+      positions[v + 2] = j * step;
+      // Same rule as terrain.js uses for beaches
+      colors.set(terrain && height <= SEA_LEVEL + 1 ? sand : grass, v);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  let k = 0;
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const a = i + j * row;
+      const b = a + 1;
+      const c = a + row;
+      const d = c + 1;
+      indices.set([a, c, b, b, c, d], k); // counter-clockwise seen from above
+      k += 6;
+    }
+  }
+  return { positions, colors, indices, minY, maxY };
+}
+
+// Vertex colours are in linear space; BLOCKS colours are sRGB hex
+function linearColor(hex) {
+  return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map((c) => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+}
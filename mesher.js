@@ -0,0 +1,172 @@
+/* ===================== Greedy Chunk Mesher ===================== */
+// Pure geometry building, no three.js: the result is plain typed arrays.
+//
+// Input is a padded grid of (size + 2)^3 palette ids covering the chunk plus a
+// one-cell border taken from its neighbours; 0 is air. A face is emitted only
+// where a block touches air or a different transparent block, and coplanar
+// faces of the same type are merged into rectangles. Coordinates are local to the chunk's minimum corner.
+//
+// Each vertex also gets a voxelLight attribute (ambient occlusion, sky
+// brightness, block brightness): corners tucked against opaque neighbours are
+// darker, and the face takes the light level of the cell it looks into from an
+// optional padded light grid (packed bytes, see lighting.js). Faces only merge
+// when all of that matches, so the interpolation stays exact.
+import { LIGHT_CURVE, MAX_LIGHT } from "./lighting.js";
+
+const AO_CURVE = [0.5, 0.7, 0.85, 1]; // corner brightness by open neighbours (0 = boxed in)
+const FULL_SKY = MAX_LIGHT << 4;
+
+export const paddedIndex = (size, x, y, z) => {
+  const s = size + 2;
+  return x + 1 + (y + 1) * s + (z + 1) * s * s;
+};
+
+export function createPaddedGrid(size) {
+  return new Uint8Array((size + 2) ** 3);
+}
+
+// palette[id - 1] is the block type for grid id; light is a padded grid of
+// packed light bytes, or null for full sunlight everywhere
+// Returns { [type]: { positions, normals, uvs, lights, indices } }
+export function greedyMesh(grid, size, palette, isTransparent = () => false, light = null) {
+  const builders = new Map();
+  const seeThrough = [true, ...palette.map((type) => isTransparent(type))];
+  const mask = new Int32Array(size * size);
+  const x = [0, 0, 0];
+  const q = [0, 0, 0];
+  const at = (cx, cy, cz) => grid[paddedIndex(size, cx, cy, cz)];
+  const opaque = (p) => !seeThrough[at(p[0], p[1], p[2])];
+  const f = [0, 0, 0];
+  const s = [0, 0, 0];
+
+  for (let d = 0; d < 3; d++) {
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+    q[0] = q[1] = q[2] = 0;
+    q[d] = 1;
+
+    // Occlusion of the face corner on the (du, dv) side of the cell in front, 0..3
+    const cornerAo = (du, dv) => {
+      s[0] = f[0];
+      s[1] = f[1];
+      s[2] = f[2];
+      s[u] += du;
+      const side1 = opaque(s);
+      s[u] -= du;
+      s[v] += dv;
+      const side2 = opaque(s);
+      s[u] += du;
+      const corner = opaque(s);
+      return side1 && side2 ? 0 : 3 - side1 - side2 - corner;
+    };
+
+    for (const dir of [1, -1]) {
+      for (x[d] = 0; x[d] < size; x[d]++) {
+        // Visible faces of this slice, keyed by id | corner AO << 8 | light << 16
+        let n = 0;
+        for (x[v] = 0; x[v] < size; x[v]++) {
+          for (x[u] = 0; x[u] < size; x[u]++, n++) {
+            const a = at(x[0], x[1], x[2]);
+            f[0] = x[0] + q[0] * dir;
+            f[1] = x[1] + q[1] * dir;
+            f[2] = x[2] + q[2] * dir;
+            const b = at(f[0], f[1], f[2]);
+            if (!a || a === b || !seeThrough[b]) {
+              mask[n] = 0;
+              continue;
+            }
+            const ao = cornerAo(-1, -1) | (cornerAo(1, -1) << 2) | (cornerAo(1, 1) << 4) | (cornerAo(-1, 1) << 6);
+            const level = light ? light[paddedIndex(size, f[0], f[1], f[2])] : FULL_SKY;
+            mask[n] = a | (ao << 8) | (level << 16);
+          }
+        }
+
+        // Merge into rectangles
+        n = 0;
+        for (let j = 0; j < size; j++) {
+          for (let i = 0; i < size; ) {
+            const id = mask[n];
+            if (!id) {
+              i++;
+              n++;
+              continue;
+            }
+
+            let w = 1;
+            while (i + w < size && mask[n + w] === id) w++;
+            let h = 1;
+            grow: while (j + h < size) {
+              for (let k = 0; k < w; k++) {
+                if (mask[n + k + h * size] !== id) break grow;
+              }
+              h++;
+            }
+
+            const type = id & 0xff;
+            if (!builders.has(type)) {
+              builders.set(type, { positions: [], normals: [], uvs: [], lights: [], indices: [] });
+            }
+            const plane = x[d] + (dir > 0 ? 1 : 0);
+            emitQuad(builders.get(type), d, u, v, dir, plane, i, j, w, h, (id >> 8) & 0xff, id >>> 16);
+
+            for (let l = 0; l < h; l++) {
+              for (let k = 0; k < w; k++) mask[n + k + l * size] = 0;
+            }
+            i += w;
+            n += w;
+          }
+        }
+      }
+    }
+  }
+
+  const out = {};
+  for (const [id, b] of builders) {
+    out[palette[id - 1]] = {
+      positions: new Float32Array(b.positions),
+      normals: new Float32Array(b.normals),
+      uvs: new Float32Array(b.uvs),
+      lights: new Float32Array(b.lights),
+      indices: new Uint32Array(b.indices)
+    };
+  }
+  return out;
+}
+
+// ao packs the four corners' occlusion, 2 bits each, in corner order
+function emitQuad(b, d, u, v, dir, plane, i, j, w, h, ao, level) {
+  const base = b.positions.length / 3;
+  const corners = [
+    [0, 0],
+    [w, 0],
+    [w, h],
+    [0, h]
+  ];
+  const sky = LIGHT_CURVE[level >> 4];
+  const block = level & 15 ? LIGHT_CURVE[level & 15] : 0;
+  const cornerAo = [0, 1, 2, 3].map((c) => (ao >> (c * 2)) & 3);
+  corners.forEach(([du, dv], c) => {
+    const p = [0, 0, 0];
+    p[d] = plane;
+    p[u] = i + du;
+    p[v] = j + dv;
+    b.positions.push(p[0], p[1], p[2]);
+
+    const nrm = [0, 0, 0];
+    nrm[d] = dir;
+    b.normals.push(nrm[0], nrm[1], nrm[2]);
+    // Keep texture "up" along world Y on the X-facing sides
+    if (d === 0) b.uvs.push(dv, du);
+    else b.uvs.push(du, dv);
+    b.lights.push(AO_CURVE[cornerAo[c]], sky, block);
+  });
+  // u x v points along +d, so flip the winding for faces looking down -d.
+  // Split along the diagonal with the lighter pair of corners, so the
+  // occlusion shades evenly instead of in a visible crease.
+  const [c0, c1, c2, c3] = cornerAo;
+  if (c0 + c2 >= c1 + c3) {
+    if (dir > 0) b.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    else b.indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+  } else if (dir > 0) b.indices.push(base, base + 1, base + 3, base + 1, base + 2, base + 3);
+  else b.indices.push(base, base + 3, base + 1, base + 1, base + 3, base + 2);
+}
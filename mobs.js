@@ -0,0 +1,135 @@
+/* ===================== Mobs ===================== */
+// Simple creatures as plain data, no three.js: a capsule body, a path of
+// feet cells from pathfinding.js and a little decision making.
+//   wanderer  ambles to random spots nearby, resting in between
+//   follower  walks up to the player when they are within followRange,
+//             otherwise wanders
+//
+// mob: {
+//   id, kind (key of MOB_KINDS), home (key of the chunk that spawned it)
+//   body      capsule body, see physics.js
+//   path      [x, y, z] feet cells still to walk through
+//   replanIn  seconds until it picks a new goal
+//   stuckFor  seconds it has made no headway along its path
+//   yaw       facing, radians
+// }
+import { createBody, stepCapsule } from "./physics.js";
+import { findPath } from "./pathfinding.js";
+
+export const MOB_KINDS = {
+  wanderer: { name: "Wanderer", color: 0xc8a060, speed: 2, follows: false },
+  follower: { name: "Follower", color: 0x5aa0d8, speed: 3.5, follows: true }
+};
+
+export const MOB_TUNING = {
+  radius: 0.35,
+  height: 1.6,
+  gravity: 20,
+  jumpSpeed: 7.5,
+  wanderRadius: 8, // cells
+  restTime: [2, 6], // s between wanders
+  followRange: 16, // cells
+  followDistance: 2, // cells from the player where followers stop
+  followReplan: 0.5, // s
+  stuckTime: 1.5, // s without headway before giving up on a path
+  maxPathNodes: 1500
+};
+
+// Deterministic 0..1 numbers from a 32-bit seed
+export function seededRandom(seed) {
+  let a = seed | 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function createMob(id, kind, [x, y, z], home, tuning = MOB_TUNING) {
+  const body = createBody({
+    position: { x, y, z },
+    halfWidth: tuning.radius,
+    height: tuning.height,
+    stepHeight: 0
+  });
+  return { id, kind, home, body, path: [], replanIn: 0, stuckFor: 0, yaw: 0 };
+}
+
+export const mobCell = (mob) => [
+  Math.floor(mob.body.position.x),
+  Math.floor(mob.body.position.y + 0.01),
+  Math.floor(mob.body.position.z)
+];
+
+// Picks a goal and a path to it once replanIn runs out. playerCell is the
+// player's feet cell, or null when there is no one to follow.
+export function planMob(mob, isSolid, playerCell, rand, tuning = MOB_TUNING) {
+  const cell = mobCell(mob);
+  const kind = MOB_KINDS[mob.kind];
+  const [rest0, rest1] = tuning.restTime;
+  const nearPlayer =
+    kind.follows &&
+    playerCell &&
+    Math.abs(playerCell[0] - cell[0]) + Math.abs(playerCell[2] - cell[2]) <= tuning.followRange;
+
+  let goal;
+  let near = 0;
+  if (nearPlayer) {
+    goal = playerCell;
+    near = tuning.followDistance;
+    mob.replanIn = tuning.followReplan;
+  } else {
+    const angle = rand() * Math.PI * 2;
+    const dist = 2 + rand() * (tuning.wanderRadius - 2);
+    goal = [cell[0] + Math.round(Math.cos(angle) * dist), cell[1], cell[2] + Math.round(Math.sin(angle) * dist)];
+    mob.replanIn = rest0 + rand() * (rest1 - rest0);
+  }
+  // Partial: head as close as it gets when the goal itself is out of reach
+  mob.path = findPath(isSolid, cell, goal, { near, partial: true, maxNodes: tuning.maxPathNodes }) ?? [];
+  mob.stuckFor = 0;
+}
+
+// One fixed tick: walk towards the next cell of the path, jumping up steps
+// and over gaps, then move the capsule
+export function stepMob(mob, dt, isSolid, tuning = MOB_TUNING) {
+  const { body } = mob;
+  const p = body.position;
+  const v = body.velocity;
+  mob.replanIn -= dt;
+
+  const next = mob.path[0];
+  if (next) {
+    const dx = next[0] + 0.5 - p.x;
+    const dz = next[2] + 0.5 - p.z;
+    const dist = Math.hypot(dx, dz);
+    const dy = next[1] - p.y;
+    if (dist < 0.25 && Math.abs(dy) < 0.5) {
+      mob.path.shift();
+      mob.stuckFor = 0;
+    } else {
+      const speed = MOB_KINDS[mob.kind].speed;
+      v.x = (dx / Math.max(dist, 1e-6)) * Math.min(speed, dist / dt);
+      v.z = (dz / Math.max(dist, 1e-6)) * Math.min(speed, dist / dt);
+      mob.yaw = Math.atan2(-dx, -dz);
+      // A step up, or a gap (the next cell is two away)
+      if (body.onGround && (dy > 0.5 || dist > 1.5)) v.y = tuning.jumpSpeed;
+    }
+  } else {
+    v.x = 0;
+    v.z = 0;
+  }
+
+  v.y -= tuning.gravity * dt;
+  const before = [p.x, p.z];
+  stepCapsule(body, dt, isSolid);
+
+  // Walking into something that the path did not expect
+  if (next && Math.hypot(p.x - before[0], p.z - before[1]) < 0.1 * MOB_KINDS[mob.kind].speed * dt) {
+    mob.stuckFor += dt;
+    if (mob.stuckFor > tuning.stuckTime) {
+      mob.path = [];
+      mob.replanIn = 0;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/* ===================== Multiplayer Protocol ===================== */
+// JSON text messages over one WebSocket per player. Positions are the feet,
+// as [x, y, z]; edit coordinates are cell centres, as everywhere else.
+//
+// Client -> server
+//   { type: "hello", protocol, name }
+//   { type: "chunk", key }                                 ask for a chunk's blocks
+//   { type: "edit", seq, kind: "place" | "destroy", x, y, z, block? }
+//   { type: "move", position }
+//
+// Server -> client
+//   { type: "welcome", id, chunkSize, terrain, spawn, players: [{ id, name, position }] }
+//   { type: "chunk", key, data }                           base64 binary chunk (chunkCodec.js)
+//   { type: "edit", id, seq, kind, x, y, z, block? }       an accepted edit, sent to everyone;
+//                                                          seq only means something to player id
+//   { type: "reject", seq, x, y, z, actual, reason }       actual: the cell's type, or null
+//   { type: "join", id, name, position }
+//   { type: "move", id, position }
+//   { type: "leave", id }
+//   { type: "error", message }                             sent just before the server hangs up
+import { BLOCKS, isPlaceableBlock } from "./blocks.js";
+
+export const PROTOCOL_VERSION = 1;
+export const DEFAULT_PORT = 8080;
+export const MAX_NAME_LENGTH = 24;
+
+const CHUNK_KEY = /^-?\d{1,7},-?\d{1,7},-?\d{1,7}$/;
+const COORD_LIMIT = 2 ** 24;
+
+export const isChunkKey = (key) => typeof key === "string" && CHUNK_KEY.test(key);
+
+const isCellCentre = (v) =>
+  typeof v === "number" && Number.isFinite(v) && Math.abs(v) < COORD_LIMIT && v - Math.floor(v) === 0.5;
+
+export const isPosition = (p) =>
+  Array.isArray(p) && p.length === 3 && p.every((v) => typeof v === "number" && Number.isFinite(v));
+
+// Reason an edit message is malformed, or null when it is fine
+export function checkEdit(msg) {
+  if (!Number.isInteger(msg.seq)) return "missing seq";
+  if (msg.kind !== "place" && msg.kind !== "destroy") return "unknown edit kind";
+  if (![msg.x, msg.y, msg.z].every(isCellCentre)) return "not a cell centre";
+  if (msg.kind === "place" && !Object.hasOwn(BLOCKS, msg.block)) return "unknown block type";
+  if (msg.kind === "place" && !isPlaceableBlock(msg.block)) return "block cannot be placed";
+  return null;
+}
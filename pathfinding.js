@@ -0,0 +1,157 @@
+/* ===================== Voxel Pathfinding ===================== */
+// A* over the cells a walker can stand in, no three.js. The world is only
+// seen through isSolid(x, y, z) on integer cell coordinates, like physics.js,
+// so paths can be worked out in Node over a hand-built grid.
+//
+// A cell is walkable when it and the `height` - 1 cells above it are open and
+// the cell below is solid. From one walkable cell a walker can go to a side
+// neighbour:
+//   on the same level
+//   one block up (a jump; needs headroom above where it starts)
+//   down by up to maxDrop blocks
+//   or across a one-block gap, landing level or one lower (a jump)
+// Paths are lists of [x, y, z] feet cells, start excluded.
+
+const SIDES = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1]
+];
+
+export const PATH_DEFAULTS = {
+  height: 2, // cells of headroom the walker needs
+  maxDrop: 3,
+  maxNodes: 2000, // cells expanded before giving up
+  near: 0, // success within this many cells (horizontal, |dy| <= 1) of the goal
+  partial: false // on failure, return the path to the explored cell nearest the goal
+};
+
+const STEP_COST = 1;
+const CLIMB_COST = 1.5;
+const GAP_COST = 3;
+const DROP_COST = 0.5; // per block
+
+export function isWalkable(isSolid, x, y, z, height = PATH_DEFAULTS.height) {
+  if (!isSolid(x, y - 1, z)) return false;
+  return isClear(isSolid, x, y, z, height);
+}
+
+function isClear(isSolid, x, y, z, height) {
+  for (let h = 0; h < height; h++) if (isSolid(x, y + h, z)) return false;
+  return true;
+}
+
+// [x, y, z, cost] for every move out of a walkable cell
+function neighbours(isSolid, x, y, z, opts) {
+  const { height, maxDrop } = opts;
+  const out = [];
+  const headroom = !isSolid(x, y + height, z);
+  for (const [dx, dz] of SIDES) {
+    const nx = x + dx;
+    const nz = z + dz;
+    if (isSolid(nx, y, nz)) {
+      if (headroom && isWalkable(isSolid, nx, y + 1, nz, height)) out.push([nx, y + 1, nz, CLIMB_COST]);
+      continue;
+    }
+    if (!isClear(isSolid, nx, y, nz, height)) continue;
+    if (isSolid(nx, y - 1, nz)) {
+      out.push([nx, y, nz, STEP_COST]);
+      continue;
+    }
+
+    // Open below: drop down, or jump over it
+    for (let d = 1; d <= maxDrop; d++) {
+      if (isSolid(nx, y - d, nz)) break;
+      if (isWalkable(isSolid, nx, y - d, nz, height)) {
+        out.push([nx, y - d, nz, STEP_COST + d * DROP_COST]);
+        break;
+      }
+    }
+    if (!headroom || isSolid(nx, y + height, nz)) continue;
+    const fx = nx + dx;
+    const fz = nz + dz;
+    if (isWalkable(isSolid, fx, y, fz, height)) out.push([fx, y, fz, GAP_COST]);
+    else if (isWalkable(isSolid, fx, y - 1, fz, height)) out.push([fx, y - 1, fz, GAP_COST]);
+  }
+  return out;
+}
+
+// Never more than the real cost of any move above
+const estimate = (x, y, z, goal) =>
+  Math.abs(x - goal[0]) + Math.abs(z - goal[2]) + Math.abs(y - goal[1]) * DROP_COST;
+
+const isNear = (x, y, z, goal, near) =>
+  Math.abs(x - goal[0]) + Math.abs(z - goal[2]) <= near && Math.abs(y - goal[1]) <= (near > 0 ? 1 : 0);
+
+/* ===== Binary heap on f ===== */
+function heapPush(heap, node) {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= node.f) break;
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = node;
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length === 0) return top;
+  let i = 0;
+  for (;;) {
+    const l = 2 * i + 1;
+    if (l >= heap.length) break;
+    const r = l + 1;
+    const c = r < heap.length && heap[r].f < heap[l].f ? r : l;
+    if (heap[c].f >= last.f) break;
+    heap[i] = heap[c];
+    i = c;
+  }
+  heap[i] = last;
+  return top;
+}
+
+// start, goal: [x, y, z] feet cells. Returns the path, [] if already there,
+// or null if there is none (within maxNodes).
+export function findPath(isSolid, start, goal, options = {}) {
+  const opts = { ...PATH_DEFAULTS, ...options };
+  const [sx, sy, sz] = start;
+  if (isNear(sx, sy, sz, goal, opts.near)) return [];
+
+  const startNode = { x: sx, y: sy, z: sz, g: 0, f: estimate(sx, sy, sz, goal), parent: null, closed: false };
+  const nodes = new Map([[`${sx},${sy},${sz}`, startNode]]);
+  const open = [startNode];
+  let best = startNode; // closest to the goal so far, for partial paths
+  let expanded = 0;
+
+  while (open.length && expanded < opts.maxNodes) {
+    const node = heapPop(open);
+    if (node.closed) continue; // stale entry, reached more cheaply since
+    node.closed = true;
+    expanded++;
+    if (isNear(node.x, node.y, node.z, goal, opts.near)) return pathTo(node);
+    if (node.f - node.g < best.f - best.g) best = node;
+
+    for (const [x, y, z, cost] of neighbours(isSolid, node.x, node.y, node.z, opts)) {
+      const key = `${x},${y},${z}`;
+      const g = node.g + cost;
+      let next = nodes.get(key);
+      if (next && (next.closed || next.g <= g)) continue;
+      if (next) next.closed = true; // leave the old heap entry behind
+      next = { x, y, z, g, f: g + estimate(x, y, z, goal), parent: node, closed: false };
+      nodes.set(key, next);
+      heapPush(open, next);
+    }
+  }
+  return opts.partial && best !== startNode ? pathTo(best) : null;
+}
+
+function pathTo(node) {
+  const path = [];
+  for (let n = node; n.parent; n = n.parent) path.push([n.x, n.y, n.z]);
+  return path.reverse();
+}
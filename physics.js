@@ -0,0 +1,213 @@
+/* ===================== Voxel Physics ===================== */
+// Swept axis-aligned box (or an upright capsule, see the end) against a grid
+// of unit cells. Pure: the world is only seen through isSolid(x, y, z) on
+// integer cell coordinates, so this runs in Node with a hand-built grid.
+//
+// body: {
+//   position: { x, y, z }  centre of the box's bottom face (the feet)
+//   velocity: { x, y, z }  units per second
+//   halfWidth, height, stepHeight
+//   onGround               set by stepBody / stepCapsule
+// }
+const EPS = 1e-5;
+const AXES = ["x", "y", "z"];
+const MAX_SUBSTEP = 0.4; // must stay below the body's width so no cell is skipped
+
+export function createBody(options = {}) {
+  return {
+    position: { x: 0, y: 0, z: 0 },
+    velocity: { x: 0, y: 0, z: 0 },
+    halfWidth: 0.3,
+    height: 1.8,
+    stepHeight: 1,
+    onGround: false,
+    ...options
+  };
+}
+
+function bodyMin(body, axis) {
+  return axis === "y" ? body.position.y : body.position[axis] - body.halfWidth;
+}
+
+function bodyMax(body, axis) {
+  return axis === "y" ? body.position.y + body.height : body.position[axis] + body.halfWidth;
+}
+
+// Is any cell solid in the layer `c` along `axis`, across the box's extent on
+// the other two axes? Touching faces do not count as overlap.
+function layerBlocked(body, axis, c, isSolid) {
+  const [a, b] = AXES.filter((o) => o !== axis);
+  const a0 = Math.floor(bodyMin(body, a) + EPS);
+  const a1 = Math.floor(bodyMax(body, a) - EPS);
+  const b0 = Math.floor(bodyMin(body, b) + EPS);
+  const b1 = Math.floor(bodyMax(body, b) - EPS);
+  const cell = { x: 0, y: 0, z: 0 };
+  cell[axis] = c;
+  for (let i = a0; i <= a1; i++) {
+    for (let j = b0; j <= b1; j++) {
+      cell[a] = i;
+      cell[b] = j;
+      if (isSolid(cell.x, cell.y, cell.z)) return true;
+    }
+  }
+  return false;
+}
+
+// Moves the body up to d along one axis, stopping flush against the first
+// solid layer in the way. Returns the distance actually moved.
+export function sweepAxis(body, axis, d, isSolid) {
+  if (d === 0) return 0;
+  let allowed = d;
+
+  if (d > 0) {
+    const lead = bodyMax(body, axis);
+    for (let c = Math.ceil(lead - EPS); c < lead + d; c++) {
+      if (layerBlocked(body, axis, c, isSolid)) {
+        allowed = Math.max(0, c - lead);
+        break;
+      }
+    }
+  } else {
+    const lead = bodyMin(body, axis);
+    for (let c = Math.floor(lead + EPS) - 1; c + 1 > lead + d; c--) {
+      if (layerBlocked(body, axis, c, isSolid)) {
+        allowed = Math.min(0, c + 1 - lead);
+        break;
+      }
+    }
+  }
+
+  body.position[axis] += allowed;
+  return allowed;
+}
+
+// Climb onto a ledge up to stepHeight tall: rise, move, settle back down.
+// Leaves the body untouched and returns false if that does not get it further.
+function tryStepUp(body, axis, d, isSolid) {
+  const start = { ...body.position };
+  const rise = sweepAxis(body, "y", body.stepHeight, isSolid);
+  const moved = sweepAxis(body, axis, d, isSolid);
+  if (Math.abs(moved) < Math.abs(d) - EPS) {
+    body.position.x = start.x;
+    body.position.y = start.y;
+    body.position.z = start.z;
+    return false;
+  }
+  sweepAxis(body, "y", -rise, isSolid);
+  return true;
+}
+
+// Advances the body by dt seconds of its velocity, in sub-steps short enough
+// that fast movement cannot tunnel through a one-block wall.
+export function stepBody(body, dt, isSolid) {
+  const v = body.velocity;
+  const travel = Math.max(Math.abs(v.x), Math.abs(v.y), Math.abs(v.z)) * dt;
+  const steps = Math.max(1, Math.ceil(travel / MAX_SUBSTEP));
+  const h = dt / steps;
+  let grounded = body.onGround;
+  body.onGround = false;
+
+  for (let i = 0; i < steps; i++) {
+    // Vertical first so a landing this step counts as grounded for step-up
+    const dy = v.y * h;
+    if (sweepAxis(body, "y", dy, isSolid) !== dy) {
+      if (dy < 0) body.onGround = grounded = true;
+      v.y = 0;
+    } else if (dy !== 0) {
+      grounded = false;
+    }
+
+    for (const axis of ["x", "z"]) {
+      const d = v[axis] * h;
+      if (d === 0) continue;
+      const moved = sweepAxis(body, axis, d, isSolid);
+      if (moved === d) continue;
+      if (grounded && body.stepHeight > 0 && tryStepUp(body, axis, d - moved, isSolid)) continue;
+      v[axis] = 0;
+    }
+  }
+}
+
+/* ===== Capsules ===== */
+// An upright capsule: radius halfWidth around the segment from halfWidth above
+// the feet to halfWidth below the top. Its rounded bottom rolls over seams and
+// edges that would catch a box, but it only climbs blocks by jumping.
+const CAPSULE_PASSES = 3;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+// Pushes the capsule out of every solid cell it overlaps and stops the
+// velocity going into them
+function resolveCapsule(body, isSolid) {
+  const p = body.position;
+  const v = body.velocity;
+  const r = body.halfWidth;
+  for (let pass = 0; pass < CAPSULE_PASSES; pass++) {
+    let pushed = false;
+    const x0 = Math.floor(p.x - r);
+    const x1 = Math.floor(p.x + r);
+    const y0 = Math.floor(p.y);
+    const y1 = Math.floor(p.y + body.height);
+    const z0 = Math.floor(p.z - r);
+    const z1 = Math.floor(p.z + r);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          if (!isSolid(x, y, z)) continue;
+          // Nearest heights on the capsule's axis and in the cell
+          const lo = p.y + r;
+          const hi = p.y + body.height - r;
+          let sy;
+          let cy;
+          if (hi < y) [sy, cy] = [hi, y];
+          else if (lo > y + 1) [sy, cy] = [lo, y + 1];
+          else sy = cy = (Math.max(lo, y) + Math.min(hi, y + 1)) / 2;
+          const dx = p.x - clamp(p.x, x, x + 1);
+          const dy = sy - cy;
+          const dz = p.z - clamp(p.z, z, z + 1);
+          const dist = Math.hypot(dx, dy, dz);
+          if (dist >= r - EPS) continue;
+
+          let nx = 0;
+          let ny = 1;
+          let nz = 0;
+          let depth = y + 1 - p.y; // axis inside the cell: out over the top
+          if (dist > EPS) {
+            nx = dx / dist;
+            ny = dy / dist;
+            nz = dz / dist;
+            depth = r - dist;
+          }
+          p.x += nx * depth;
+          p.y += ny * depth;
+          p.z += nz * depth;
+          const into = v.x * nx + v.y * ny + v.z * nz;
+          if (into < 0) {
+            v.x -= into * nx;
+            v.y -= into * ny;
+            v.z -= into * nz;
+          }
+          if (ny > 0.7) body.onGround = true;
+          pushed = true;
+        }
+      }
+    }
+    if (!pushed) break;
+  }
+}
+
+// stepBody for a capsule: moves in sub-steps of at most half the radius and
+// resolves overlaps after each
+export function stepCapsule(body, dt, isSolid) {
+  const v = body.velocity;
+  const travel = Math.max(Math.abs(v.x), Math.abs(v.y), Math.abs(v.z)) * dt;
+  const steps = Math.max(1, Math.ceil(travel / (body.halfWidth / 2)));
+  const h = dt / steps;
+  body.onGround = false;
+  for (let i = 0; i < steps; i++) {
+    body.position.x += v.x * h;
+    body.position.y += v.y * h;
+    body.position.z += v.z * h;
+    resolveCapsule(body, isSolid);
+  }
+}
@@ -0,0 +1,136 @@
+/* ===================== Player Controller ===================== */
+// One fixed tick of player movement from an input snapshot. Pure, so the game
+// and the headless replay runner step the player with the same arithmetic.
+// A body with `flying` set (see setFlying) ignores gravity and collisions.
+import { stepBody } from "./physics.js";
+
+export const PLAYER_TUNING = {
+  baseSpeed: 75,
+  sprintMultiplier: 1.8,
+  gravity: 20,
+  jumpSpeed: 8,
+  drag: 10,
+  // In water
+  swimMultiplier: 0.4,
+  swimGravity: 4,
+  swimUp: 14, // acceleration while jump is held
+  waterDrag: 4, // also slows sinking and rising
+  flySpeed: 12
+};
+
+// input: { forward, backward, left, right, jump, sprint, yaw, pitch }
+// isFluid(x, y, z): the integer cell holds water, which the body swims in
+// Returns how fast the body was falling when it landed this tick (0 if it did
+// not land, or landed in water), for fall damage.
+export function stepPlayer(body, input, dt, isSolid, isFluid = () => false, tuning = PLAYER_TUNING) {
+  if (body.flying) {
+    fly(body, input, dt, tuning);
+    return 0;
+  }
+  const v = body.velocity;
+  const p = body.position;
+  const cx = Math.floor(p.x);
+  const cz = Math.floor(p.z);
+  const swimming = isFluid(cx, Math.floor(p.y), cz) || isFluid(cx, Math.floor(p.y + 1), cz);
+
+  let dx = 0;
+  let dz = 0;
+  if (input.forward) dz -= 1;
+  if (input.backward) dz += 1;
+  if (input.left) dx -= 1;
+  if (input.right) dx += 1;
+  const len = Math.hypot(dx, dz);
+  if (len > 0) {
+    dx /= len;
+    dz /= len;
+  }
+
+  // Rotate by pitch then yaw (Euler "YXZ", as the camera uses) and keep the
+  // horizontal part, so looking up or down slows you like it always has
+  const cosP = Math.cos(input.pitch);
+  const sinY = Math.sin(input.yaw);
+  const cosY = Math.cos(input.yaw);
+  const wx = dx * cosY + dz * cosP * sinY;
+  const wz = -dx * sinY + dz * cosP * cosY;
+
+  let speed = input.sprint ? tuning.baseSpeed * tuning.sprintMultiplier : tuning.baseSpeed;
+  if (swimming) speed *= tuning.swimMultiplier;
+  v.x += wx * speed * dt;
+  v.z += wz * speed * dt;
+
+  v.x -= v.x * tuning.drag * dt;
+  v.z -= v.z * tuning.drag * dt;
+  if (swimming) {
+    v.y -= tuning.swimGravity * dt;
+    if (input.jump) v.y += tuning.swimUp * dt;
+    v.y -= v.y * tuning.waterDrag * dt;
+  } else {
+    v.y -= tuning.gravity * dt;
+  }
+
+  if (input.jump && body.onGround && !swimming) {
+    v.y = tuning.jumpSpeed;
+    body.onGround = false;
+  }
+
+  // Swept collision against occupied cells, with step-up onto single blocks
+  const fallSpeed = -v.y;
+  stepBody(body, dt, isSolid);
+  return body.onGround && fallSpeed > 0 && !swimming ? fallSpeed : 0;
+}
+
+// Straight along where the player looks, through anything; jump rises
+function fly(body, input, dt, tuning) {
+  const dx = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+  const dz = (input.backward ? 1 : 0) - (input.forward ? 1 : 0);
+  const cosP = Math.cos(input.pitch);
+  const sinY = Math.sin(input.yaw);
+  const cosY = Math.cos(input.yaw);
+  const speed = input.sprint ? tuning.flySpeed * tuning.sprintMultiplier : tuning.flySpeed;
+  const v = body.velocity;
+  v.x = (dx * cosY + dz * cosP * sinY) * speed;
+  v.y = (-dz * Math.sin(input.pitch) + (input.jump ? 1 : 0)) * speed;
+  v.z = (-dx * sinY + dz * cosP * cosY) * speed;
+  body.position.x += v.x * dt;
+  body.position.y += v.y * dt;
+  body.position.z += v.z * dt;
+  body.onGround = false;
+}
+
+// The "fly" action; the body starts or stops at rest
+export function setFlying(body, on) {
+  body.flying = on;
+  body.velocity.x = body.velocity.y = body.velocity.z = 0;
+}
+
+// Puts the body back at a feet position, at rest (the "respawn" and
+// "teleport" actions)
+export function respawnBody(body, [x, y, z]) {
+  body.position.x = x;
+  body.position.y = y;
+  body.position.z = z;
+  body.velocity.x = body.velocity.y = body.velocity.z = 0;
+  body.onGround = false;
+}
+
+/* ===== Compact input form for recordings ===== */
+const FLAGS = ["forward", "backward", "left", "right", "jump", "sprint"];
+
+// -> [flags, yaw, pitch] or [flags, yaw, pitch, actions]
+export function encodeInput(input) {
+  let flags = 0;
+  FLAGS.forEach((name, i) => {
+    if (input[name]) flags |= 1 << i;
+  });
+  const out = [flags, input.yaw, input.pitch];
+  if (input.actions && input.actions.length) out.push(input.actions);
+  return out;
+}
+
+export function decodeInput([flags, yaw, pitch, actions = []]) {
+  const input = { yaw, pitch, actions };
+  FLAGS.forEach((name, i) => {
+    input[name] = (flags & (1 << i)) !== 0;
+  });
+  return input;
+}
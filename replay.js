@@ -0,0 +1,129 @@
+/* ===================== Input Recordings ===================== */
+// A recording is everything needed to re-run a play session tick by tick:
+//   {
+//     format: "voxel-replay", version,
+//     tickRate, chunkSize,
+//     terrain: { seed, caves } or null for flat legacy worlds,
+//     start: { position: [x, y, z], velocity: [x, y, z], onGround, flying? },
+//     base: { key: base64 chunk }   chunks that differed from generation at the start
+//     ticks: Array<[flags, yaw, pitch, actions?]>   see encodeInput in player.js
+//     unloaded: { tick: [chunk keys] }   chunks each tick found still loading
+//     end: { position: [x, y, z], actions, chunks: { key: base64 chunk } }
+//   }
+// Tick actions are block edits ({ kind: "place" | "destroy", x, y, z, type? }),
+// a survival respawn or a console teleport ({ kind: "respawn" | "teleport",
+// position: [x, y, z] }), or noclip flight ({ kind: "fly", on }).
+// end.actions are actions taken after the last tick (e.g. an undo just before
+// stopping); they apply once every tick has run.
+// The game's ticks treat chunks that have not loaded yet as solid (and not
+// water); a replay does the same for the chunks listed under that tick, so it
+// does not depend on how quickly chunks loaded while recording.
+// end.chunks holds every chunk that was edited before or during the recording,
+// so a replay can be checked against it. Pure, so runReplay also works in Node.
+import { encodeChunk, decodeChunk } from "./chunkCodec.js";
+import { createVoxelStore } from "./voxelStore.js";
+import { isSolidBlock, fluidLevel } from "./blocks.js";
+import { createBody } from "./physics.js";
+import { stepPlayer, respawnBody, setFlying, decodeInput } from "./player.js";
+
+export const REPLAY_FORMAT = "voxel-replay";
+export const REPLAY_VERSION = 3; // 2 added the teleport and fly actions, 3 unloaded
+
+/* ===== Base64 chunk bytes ===== */
+export function bytesToBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s);
+}
+
+export function base64ToBytes(text) {
+  const s = atob(text);
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+// chunks: Iterable<[key, arr]> -> { key: base64 }
+export function encodeChunkSet(chunks, chunkSize) {
+  const out = {};
+  for (const [key, arr] of chunks) out[key] = bytesToBase64(encodeChunk(key, arr, chunkSize));
+  return out;
+}
+
+// { key: base64 } -> Map<key, arr>
+export function decodeChunkSet(encoded, chunkSize) {
+  const out = new Map();
+  for (const key in encoded) out.set(key, decodeChunk(base64ToBytes(encoded[key]), chunkSize).arr);
+  return out;
+}
+
+export function validateRecording(rec) {
+  if (!rec || rec.format !== REPLAY_FORMAT) throw new Error("Not a replay file");
+  // Each version's files are a subset of the next
+  if (!(rec.version >= 1 && rec.version <= REPLAY_VERSION)) throw new Error(`Unsupported replay version ${rec.version}`);
+  if (!Array.isArray(rec.ticks) || !rec.start) throw new Error("Replay file is incomplete");
+  return rec;
+}
+
+// Keys of chunks whose blocks differ between two Map<key, arr>, over `keys`
+export function diffChunkSets(a, b, keys) {
+  const cellMap = (arr) => new Map((arr ?? []).map(([x, y, z, type]) => [`${x},${y},${z}`, type]));
+  const differing = [];
+  for (const key of keys) {
+    const ma = cellMap(a.get(key));
+    const mb = cellMap(b.get(key));
+    if (ma.size !== mb.size || [...ma].some(([ck, type]) => mb.get(ck) !== type)) differing.push(key);
+  }
+  return differing;
+}
+
+// Runs the first `until` ticks (all by default) without rendering anything.
+// Mirrors the game's tick: actions first, then the player step.
+export function runReplay(rec, until = rec.ticks.length) {
+  const world = createVoxelStore(rec.terrain, decodeChunkSet(rec.base ?? {}, rec.chunkSize), rec.chunkSize);
+  const [px, py, pz] = rec.start.position;
+  const [vx, vy, vz] = rec.start.velocity;
+  const body = createBody({
+    position: { x: px, y: py, z: pz },
+    velocity: { x: vx, y: vy, z: vz },
+    onGround: rec.start.onGround,
+    flying: !!rec.start.flying
+  });
+  const size = rec.chunkSize;
+  let unloaded = null; // chunk keys the current tick found still loading
+  const isUnloaded = (x, y, z) =>
+    !!unloaded && unloaded.includes(`${Math.floor(x / size)},${Math.floor(y / size)},${Math.floor(z / size)}`);
+  const isSolid = (x, y, z) => isUnloaded(x, y, z) || isSolidBlock(world.getCellType(x, y, z) ?? undefined);
+  const isFluid = (x, y, z) => !isUnloaded(x, y, z) && fluidLevel(world.getCellType(x, y, z)) >= 0;
+  const dt = 1 / rec.tickRate;
+  const apply = (action) => {
+    if (action.kind === "respawn" || action.kind === "teleport") respawnBody(body, action.position);
+    else if (action.kind === "fly") setFlying(body, action.on);
+    else world.applyAction(action);
+  };
+
+  for (let t = 0; t < until; t++) {
+    const input = decodeInput(rec.ticks[t]);
+    unloaded = rec.unloaded?.[t] ?? null;
+    for (const action of input.actions) apply(action);
+    stepPlayer(body, input, dt, isSolid, isFluid);
+  }
+  if (until === rec.ticks.length) {
+    for (const action of rec.end?.actions ?? []) apply(action);
+  }
+  return { world, body };
+}
+
+// Replays the whole recording and compares it with what was recorded
+// -> { ok, chunks: keys that differ, position: final player position, positionMatches }
+export function verifyReplay(rec) {
+  const { world, body } = runReplay(rec);
+  const expected = decodeChunkSet(rec.end.chunks, rec.chunkSize);
+  const actual = new Map([...expected.keys()].map((key) => [key, world.getChunkData(key)]));
+  const chunks = diffChunkSets(expected, actual, expected.keys());
+  const position = [body.position.x, body.position.y, body.position.z];
+  const positionMatches = position.every((v, i) => v === rec.end.position[i]);
+  return { ok: chunks.length === 0 && positionMatches, chunks, position, positionMatches };
+}
@@ -0,0 +1,273 @@
+/* ===================== Multiplayer Server ===================== */
+// Owns the authoritative block data of one world, hands chunks to players on
+// request, checks every edit and relays accepted ones and player positions to
+// everyone. Also serves the game's files, so one command is enough to play:
+//
+//   node server.mjs [--port 8080] [--seed text] [--caves] [--save world.vxw]
+//
+// then open http://localhost:8080 and join ws://localhost:8080. With --save,
+// edited chunks are loaded from and written back to a world file (the same
+// format as Export in the game).
+import http from "node:http";
+import { readFile, writeFile, rename } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { acceptWebSocket } from "./websocket.mjs";
+import { createVoxelStore } from "./voxelStore.js";
+import { encodeChunk, encodeWorld, decodeWorld } from "./chunkCodec.js";
+import { parseSeed, randomSeed, terrainHeight, TERRAIN_CHUNK_SIZE } from "./terrain.js";
+import {
+  PROTOCOL_VERSION,
+  DEFAULT_PORT,
+  MAX_NAME_LENGTH,
+  isChunkKey,
+  isPosition,
+  checkEdit
+} from "./netProtocol.js";
+
+const CHUNK_SIZE = TERRAIN_CHUNK_SIZE;
+const SAVE_INTERVAL = 30000; // ms between world file writes while edits come in
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json",
+  ".css": "text/css"
+};
+
+/* ===== Static files ===== */
+async function serveFile(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405).end();
+    return;
+  }
+  const urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  const file = path.join(ROOT, urlPath === "/" ? "index.html" : urlPath);
+  const type = CONTENT_TYPES[path.extname(file)];
+  if (!file.startsWith(ROOT + path.sep) || !type) {
+    res.writeHead(404).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-cache" });
+    res.end(req.method === "HEAD" ? undefined : body);
+  } catch {
+    res.writeHead(404).end();
+  }
+}
+
+/* ===== Game server ===== */
+// options: {
+//   terrain   { seed, caves }, or null for a flat legacy world
+//   base      Map<key, arr> of chunks from a save
+//   onEdit    called with the store after every accepted edit
+// }
+// Returns the http.Server; call listen() on it.
+export function createGameServer({ terrain = { seed: randomSeed(), caves: false }, base = new Map(), onEdit } = {}) {
+  const store = createVoxelStore(terrain, base, CHUNK_SIZE);
+  const spawn = [0.5, terrain ? terrainHeight(terrain.seed, 0, 5) + 1 : 3, 5.5];
+  const players = new Map(); // id -> { id, name, ws, position }
+  let nextId = 1;
+
+  const send = (player, msg) => player.ws.isOpen && player.ws.send(JSON.stringify(msg));
+  function broadcast(msg, except = null) {
+    const text = JSON.stringify(msg);
+    for (const p of players.values()) {
+      if (p !== except && p.ws.isOpen) p.ws.send(text);
+    }
+  }
+
+  function handleHello(ws, msg) {
+    if (msg.protocol !== PROTOCOL_VERSION) {
+      ws.send(JSON.stringify({ type: "error", message: `Server speaks protocol ${PROTOCOL_VERSION}` }));
+      ws.close(1002, "Protocol mismatch");
+      return null;
+    }
+    const name = String(msg.name ?? "").trim().slice(0, MAX_NAME_LENGTH) || "Player";
+    const player = { id: nextId++, name, ws, position: spawn.slice() };
+    send(player, {
+      type: "welcome",
+      id: player.id,
+      chunkSize: CHUNK_SIZE,
+      terrain,
+      spawn,
+      players: [...players.values()].map(({ id, name, position }) => ({ id, name, position }))
+    });
+    players.set(player.id, player);
+    broadcast({ type: "join", id: player.id, name, position: player.position }, player);
+    console.log(`${name} (#${player.id}) joined, ${players.size} online`);
+    return player;
+  }
+
+  function handleEdit(player, msg) {
+    const problem = checkEdit(msg);
+    const { seq, kind, x, y, z } = msg;
+    const action = { kind, x, y, z, type: msg.block };
+    if (problem || !store.applyAction(action)) {
+      const actual = problem ? null : store.getCellType(Math.floor(x), Math.floor(y), Math.floor(z));
+      send(player, {
+        type: "reject",
+        seq,
+        x,
+        y,
+        z,
+        actual,
+        reason: problem ?? (kind === "place" ? "cell is occupied" : actual ? "block cannot be broken" : "cell is empty")
+      });
+      return;
+    }
+    const edit = { type: "edit", id: player.id, seq, kind, x, y, z };
+    if (kind === "place") edit.block = msg.block;
+    broadcast(edit);
+    onEdit?.(store);
+  }
+
+  function handleMessage(ws, player, text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      return player;
+    }
+    if (!player) return msg.type === "hello" ? handleHello(ws, msg) : null;
+
+    switch (msg.type) {
+      case "chunk":
+        if (!isChunkKey(msg.key)) break;
+        send(player, {
+          type: "chunk",
+          key: msg.key,
+          data: Buffer.from(encodeChunk(msg.key, store.getChunkData(msg.key), CHUNK_SIZE)).toString("base64")
+        });
+        break;
+      case "edit":
+        handleEdit(player, msg);
+        break;
+      case "move":
+        if (!isPosition(msg.position)) break;
+        player.position = msg.position;
+        broadcast({ type: "move", id: player.id, position: msg.position }, player);
+        break;
+    }
+    return player;
+  }
+
+  const server = http.createServer((req, res) => {
+    serveFile(req, res).catch((err) => {
+      console.error("Failed to serve", req.url, err);
+      res.destroy();
+    });
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const ws = acceptWebSocket(req, socket, head);
+    if (!ws) return;
+    let player = null;
+    ws.on("message", (text) => {
+      if (typeof text === "string") player = handleMessage(ws, player, text);
+    });
+    ws.on("error", () => {}); // "close" follows and does the cleanup
+    ws.on("close", () => {
+      if (!player) return;
+      players.delete(player.id);
+      broadcast({ type: "leave", id: player.id });
+      console.log(`${player.name} (#${player.id}) left, ${players.size} online`);
+    });
+  });
+
+  server.store = store;
+  server.terrain = terrain;
+  return server;
+}
+
+/* ===== Command line ===== */
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, seed: null, caves: false, save: null };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--port":
+        args.port = Number(argv[++i]);
+        break;
+      case "--seed":
+        args.seed = argv[++i];
+        break;
+      case "--caves":
+        args.caves = true;
+        break;
+      case "--save":
+        args.save = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let meta = {
+    name: args.save ? path.basename(args.save, ".vxw") : "Server",
+    created: Date.now(),
+    seed: args.seed !== null ? parseSeed(args.seed) : randomSeed(),
+    caves: args.caves
+  };
+  let base = new Map();
+  if (args.save && existsSync(args.save)) {
+    const world = decodeWorld(new Uint8Array(await readFile(args.save)), CHUNK_SIZE);
+    meta = world.meta; // a world without a seed is a flat legacy one
+    base = world.chunks;
+    console.log(`Loaded ${base.size} chunks from ${args.save}`);
+  }
+
+  // Writes at most every SAVE_INTERVAL, and once more on shutdown
+  let dirty = false;
+  let saveTimer = null;
+  async function save(store) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!args.save || !dirty) return;
+    dirty = false;
+    const chunks = [...store.editedKeys()].map((key) => [key, store.getChunkData(key)]);
+    const tmp = `${args.save}.tmp`;
+    await writeFile(tmp, encodeWorld(meta, chunks, CHUNK_SIZE));
+    await rename(tmp, args.save);
+  }
+  const terrain = meta.seed !== undefined ? { seed: meta.seed, caves: !!meta.caves } : null;
+  const server = createGameServer({
+    terrain,
+    base,
+    onEdit(store) {
+      dirty = true;
+      if (args.save && saveTimer === null) {
+        saveTimer = setTimeout(() => save(store).catch((err) => console.error("Failed to save", err)), SAVE_INTERVAL);
+      }
+    }
+  });
+
+  async function shutdown() {
+    try {
+      await save(server.store);
+    } finally {
+      process.exit(0);
+    }
+  }
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  server.listen(args.port, () => {
+    console.log(terrain ? `Seed ${terrain.seed}${terrain.caves ? " with caves" : ""}` : "Flat world");
+    console.log(`Open http://localhost:${args.port} and join ws://localhost:${args.port}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,138 @@
+/* ===================== Settings ===================== */
+// Player preferences as plain data, with defaults and validation, so a
+// half-written or outdated localStorage entry can never break the game.
+//   bindings          action -> KeyboardEvent.code list (first one is shown)
+//   mouseSensitivity  multiplier on the base look speed
+//   invertY           mouse up looks down
+//   fov               vertical field of view, degrees
+//   reach             how far away blocks can be placed and destroyed, in blocks
+//   renderDistance    chunks loaded in full detail around the player horizontally
+//   lodDistance       chunks drawn downsampled, out to this many
+//   farDistance       chunk columns drawn as heightmap impostors, out to this
+//                     many; the fog closes in between here and renderDistance
+//   shadowQuality     key of SHADOW_QUALITY
+//   dayLength         real minutes for one day/night cycle
+
+// In menu order; group only affects the settings panel layout
+export const KEY_ACTIONS = [
+  { action: "forward", label: "Forward", group: "Movement", keys: ["KeyW", "ArrowUp"] },
+  { action: "backward", label: "Back", group: "Movement", keys: ["KeyS", "ArrowDown"] },
+  { action: "left", label: "Left", group: "Movement", keys: ["KeyA", "ArrowLeft"] },
+  { action: "right", label: "Right", group: "Movement", keys: ["KeyD", "ArrowRight"] },
+  { action: "jump", label: "Jump", group: "Movement", keys: ["Space"] },
+  { action: "sprint", label: "Sprint", group: "Movement", keys: ["ShiftLeft", "ShiftRight"] },
+  { action: "ghost", label: "Placement helper", group: "View", keys: ["Tab"] },
+  { action: "grid", label: "Grid lines", group: "View", keys: ["KeyG"] },
+  { action: "meshMode", label: "Mesh mode", group: "View", keys: ["KeyM"] },
+  { action: "builder", label: "Builder mode", group: "Builder", keys: ["KeyB"] },
+  { action: "fill", label: "Fill", group: "Builder", keys: ["KeyF"] },
+  { action: "clear", label: "Clear", group: "Builder", keys: ["KeyX"] },
+  { action: "hollow", label: "Hollow", group: "Builder", keys: ["KeyH"] },
+  { action: "replace", label: "Replace", group: "Builder", keys: ["KeyR"] },
+  { action: "copy", label: "Copy", group: "Builder", keys: ["KeyC"] },
+  { action: "paste", label: "Paste", group: "Builder", keys: ["KeyV"] },
+  { action: "rotate", label: "Rotate clipboard", group: "Builder", keys: ["KeyT"] },
+  { action: "deselect", label: "Deselect", group: "Builder", keys: ["KeyN"] },
+  { action: "respawn", label: "Respawn", group: "Survival", keys: ["Enter"] },
+  { action: "record", label: "Record", group: "Replay", keys: ["F8"] },
+  { action: "replayPause", label: "Pause", group: "Replay", keys: ["KeyP"] },
+  { action: "scrubBack", label: "Scrub back", group: "Replay", keys: ["BracketLeft"] },
+  { action: "scrubForward", label: "Scrub forward", group: "Replay", keys: ["BracketRight"] },
+  { action: "freeCamera", label: "Free camera", group: "Replay", keys: ["KeyF"] },
+  { action: "timeScrub", label: "Fast-forward time (hold)", group: "Debug", keys: ["KeyK"] },
+  { action: "shadowDebug", label: "Shadow cascades", group: "Debug", keys: ["KeyJ"] },
+  { action: "debugHud", label: "Debug overlay", group: "Debug", keys: ["F3"] },
+  { action: "chunkBorders", label: "Chunk borders", group: "Debug", keys: ["F4"] },
+  { action: "console", label: "Console", group: "Debug", keys: ["Slash", "Backquote"] }
+];
+
+// Cascade count and shadow map size per cascade; the cascades always reach
+// as far as the render distance
+export const SHADOW_QUALITY = {
+  off: { cascades: 0, mapSize: 0 },
+  low: { cascades: 2, mapSize: 1024 },
+  medium: { cascades: 3, mapSize: 2048 },
+  high: { cascades: 4, mapSize: 2048 }
+};
+
+// [min, max, step]
+export const SETTING_RANGES = {
+  mouseSensitivity: [0.1, 3, 0.05],
+  fov: [50, 110, 1],
+  reach: [3, 16, 1],
+  renderDistance: [1, 6, 1],
+  lodDistance: [2, 16, 1],
+  farDistance: [4, 32, 1],
+  dayLength: [2, 60, 1]
+};
+
+export const DEFAULT_SETTINGS = {
+  bindings: Object.fromEntries(KEY_ACTIONS.map(({ action, keys }) => [action, keys])),
+  mouseSensitivity: 1,
+  invertY: false,
+  fov: 75,
+  reach: 8,
+  renderDistance: 2,
+  lodDistance: 5,
+  farDistance: 12,
+  shadowQuality: "high",
+  dayLength: 20
+};
+
+function clampSetting(name, value) {
+  const [min, max, step] = SETTING_RANGES[name];
+  if (typeof value !== "number" || !Number.isFinite(value)) return DEFAULT_SETTINGS[name];
+  const snapped = min + Math.round((value - min) / step) * step;
+  return Math.min(max, Math.max(min, Number(snapped.toFixed(4))));
+}
+
+// Fills gaps with defaults and drops anything invalid
+export function sanitizeSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const bindings = {};
+  for (const { action, keys } of KEY_ACTIONS) {
+    const codes = src.bindings?.[action];
+    const valid = Array.isArray(codes) && codes.length > 0 && codes.every((c) => typeof c === "string");
+    bindings[action] = valid ? codes.slice() : keys.slice();
+  }
+  const settings = { ...DEFAULT_SETTINGS, bindings };
+  for (const name in SETTING_RANGES) settings[name] = clampSetting(name, src[name]);
+  settings.invertY = src.invertY === true;
+  settings.shadowQuality = Object.hasOwn(SHADOW_QUALITY, src.shadowQuality)
+    ? src.shadowQuality
+    : DEFAULT_SETTINGS.shadowQuality;
+  return settings;
+}
+
+const KEY_NAMES = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  BracketLeft: "[",
+  BracketRight: "]",
+  ShiftLeft: "Shift",
+  ShiftRight: "Right Shift",
+  ControlLeft: "Ctrl",
+  ControlRight: "Right Ctrl",
+  AltLeft: "Alt",
+  AltRight: "Right Alt",
+  Space: "Space",
+  Backquote: "`",
+  Minus: "-",
+  Equal: "=",
+  Semicolon: ";",
+  Quote: "'",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Backslash: "\\"
+};
+
+// "KeyW" -> "W", "Digit1" -> "1", "ArrowUp" -> "↑"
+export function keyLabel(code) {
+  if (!code) return "?";
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  const m = /^(?:Key|Digit|Numpad)(.+)$/.exec(code);
+  return m ? m[1] : code;
+}
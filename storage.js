@@ -0,0 +1,93 @@
+/* ===================== World Storage (IndexedDB) ===================== */
+// worlds: { name, created, ... }      keyed by name
+// chunks: { world, key, data }        keyed by [world, key]
+const DB_NAME = "voxel-worlds";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("worlds")) {
+        db.createObjectStore("worlds", { keyPath: "name" });
+      }
+      if (!db.objectStoreNames.contains("chunks")) {
+        db.createObjectStore("chunks", { keyPath: ["world", "key"] });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const txDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+// All chunk keys of one world sort between these bounds
+const worldRange = (world) => IDBKeyRange.bound([world, ""], [world, "\uffff"]);
+
+export async function listWorlds() {
+  const db = await openDB();
+  const worlds = await promisify(db.transaction("worlds").objectStore("worlds").getAll());
+  return worlds.sort((a, b) => a.created - b.created);
+}
+
+export async function getWorld(name) {
+  const db = await openDB();
+  return promisify(db.transaction("worlds").objectStore("worlds").get(name));
+}
+
+export async function putWorld(world) {
+  const db = await openDB();
+  const tx = db.transaction("worlds", "readwrite");
+  tx.objectStore("worlds").put(world);
+  return txDone(tx);
+}
+
+export async function deleteWorld(name) {
+  const db = await openDB();
+  const tx = db.transaction(["worlds", "chunks"], "readwrite");
+  tx.objectStore("worlds").delete(name);
+  tx.objectStore("chunks").delete(worldRange(name));
+  return txDone(tx);
+}
+
+// Keys only, so a world can be opened without reading every chunk
+export async function listSavedChunkKeys(world) {
+  const db = await openDB();
+  const keys = await promisify(
+    db.transaction("chunks").objectStore("chunks").getAllKeys(worldRange(world))
+  );
+  return keys.map(([, key]) => key);
+}
+
+export async function loadChunk(world, key) {
+  const db = await openDB();
+  const rec = await promisify(db.transaction("chunks").objectStore("chunks").get([world, key]));
+  return rec ? rec.data : undefined;
+}
+
+// entries: Array<[key, data]>, written in a single transaction
+export async function saveChunks(world, entries) {
+  if (!entries.length) return;
+  const db = await openDB();
+  const tx = db.transaction("chunks", "readwrite");
+  const store = tx.objectStore("chunks");
+  for (const [key, data] of entries) store.put({ world, key, data });
+  return txDone(tx);
+}
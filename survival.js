@@ -0,0 +1,134 @@
+/* ===================== Survival Rules ===================== */
+// Health, fall damage, the inventory and dropped items as plain data, no
+// three.js, so they step inside the fixed tick like the player does.
+//
+// state: {
+//   health     0..maxHealth
+//   inventory  { [blockType]: count }
+//   drops      [{ id, type, count, body, age }] items lying in the world
+//   dead       waiting for a respawn
+//   dirty      changed since it was last saved
+// }
+// Only health and inventory are saved with the world; drops are not.
+import { createBody, stepBody } from "./physics.js";
+import { BLOCKS } from "./blocks.js";
+
+export const SURVIVAL_TUNING = {
+  maxHealth: 20,
+  safeFallSpeed: 11, // landing slower than this (about a 3 block drop) is free
+  damagePerSpeed: 1.5, // health lost per unit/s above safeFallSpeed
+  stackLimit: 64, // per block type
+  pickupRadius: 1.5,
+  pickupDelay: 0.5, // s before a fresh drop can be picked up
+  dropLifetime: 300, // s before an unclaimed drop disappears
+  dropGravity: 20
+};
+
+// saved: { health, inventory } from the world record, if any
+export function createSurvivalState(saved = null, tuning = SURVIVAL_TUNING) {
+  const inventory = {};
+  for (const [type, count] of Object.entries(saved?.inventory ?? {})) {
+    if (Object.hasOwn(BLOCKS, type) && Number.isInteger(count) && count > 0) {
+      inventory[type] = Math.min(count, tuning.stackLimit);
+    }
+  }
+  // Anyone who was dead when the world was saved comes back at full health
+  const health = Number.isFinite(saved?.health) && saved.health > 0 ? saved.health : tuning.maxHealth;
+  return {
+    health: Math.min(tuning.maxHealth, health),
+    inventory,
+    drops: [],
+    dead: false,
+    dirty: false,
+    nextDropId: 1
+  };
+}
+
+// What goes into the world record
+export const survivalSnapshot = (state) => ({ health: state.health, inventory: { ...state.inventory } });
+
+export function fallDamage(impactSpeed, tuning = SURVIVAL_TUNING) {
+  const excess = impactSpeed - tuning.safeFallSpeed;
+  return excess > 0 ? Math.ceil(excess * tuning.damagePerSpeed) : 0;
+}
+
+// Returns true if the player died from it
+export function damage(state, amount) {
+  if (state.dead || amount <= 0) return false;
+  state.health = Math.max(0, state.health - amount);
+  state.dirty = true;
+  if (state.health > 0) return false;
+  state.dead = true;
+  return true;
+}
+
+// Returns how many fitted under the stack limit
+export function addItem(state, type, count = 1, tuning = SURVIVAL_TUNING) {
+  const have = state.inventory[type] ?? 0;
+  const added = Math.max(0, Math.min(count, tuning.stackLimit - have));
+  if (added > 0) {
+    state.inventory[type] = have + added;
+    state.dirty = true;
+  }
+  return added;
+}
+
+export function takeItem(state, type) {
+  const have = state.inventory[type] ?? 0;
+  if (have <= 0) return false;
+  if (have === 1) delete state.inventory[type];
+  else state.inventory[type] = have - 1;
+  state.dirty = true;
+  return true;
+}
+
+// x, y, z: cell centre the item pops out of
+export function spawnDrop(state, type, x, y, z, count = 1) {
+  const id = state.nextDropId++;
+  const body = createBody({
+    position: { x, y: y - 0.125, z },
+    // A little sideways hop, different per drop so a pile spreads out
+    velocity: { x: Math.cos(id * 2.4), y: 3, z: Math.sin(id * 2.4) },
+    halfWidth: 0.125,
+    height: 0.25,
+    stepHeight: 0
+  });
+  const drop = { id, type, count, body, age: 0 };
+  state.drops.push(drop);
+  return drop;
+}
+
+// Everything the player carries falls where they died
+export function dropInventory(state, x, y, z) {
+  for (const [type, count] of Object.entries(state.inventory)) spawnDrop(state, type, x, y + 0.5, z, count);
+  state.inventory = {};
+  state.dirty = true;
+}
+
+export function respawn(state, tuning = SURVIVAL_TUNING) {
+  state.health = tuning.maxHealth;
+  state.dead = false;
+  state.dirty = true;
+}
+
+// One tick for the drops: fall, settle, expire, get picked up by a living
+// player whose feet are at playerPos
+export function stepDrops(state, playerPos, dt, isSolid, tuning = SURVIVAL_TUNING) {
+  state.drops = state.drops.filter((drop) => {
+    const { body } = drop;
+    drop.age += dt;
+    body.velocity.y -= tuning.dropGravity * dt;
+    body.velocity.x *= 0.9;
+    body.velocity.z *= 0.9;
+    stepBody(body, dt, isSolid);
+
+    const dx = body.position.x - playerPos.x;
+    const dy = body.position.y - (playerPos.y + 0.9);
+    const dz = body.position.z - playerPos.z;
+    const near = dx * dx + dy * dy + dz * dz < tuning.pickupRadius ** 2;
+    if (!state.dead && near && drop.age >= tuning.pickupDelay) {
+      drop.count -= addItem(state, drop.type, drop.count, tuning);
+    }
+    return drop.count > 0 && drop.age < tuning.dropLifetime;
+  });
+}
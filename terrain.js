@@ -0,0 +1,172 @@
+/* ===================== Procedural Terrain ===================== */
+// Pure functions of (seed, cx, cy, cz): no three.js, no DOM, so they run in Node too.
+// Blocks come out in the same [x, y, z, type] cell-centre form as chunkData.
+export const TERRAIN_CHUNK_SIZE = 16;
+export const SEA_LEVEL = 5;
+const BASE_HEIGHT = 7;
+const HILL_AMPLITUDE = 9;
+const DETAIL_AMPLITUDE = 1.5;
+const DIRT_DEPTH = 3;
+const MIN_HEIGHT = 1;
+const MAX_HEIGHT = TERRAIN_CHUNK_SIZE - 2;
+export const WORLD_BOTTOM = -32; // lowest generated layer, unbreakable bedrock
+const CAVE_SCALE = 12;
+const CAVE_RADIUS = 0.12;
+
+/* ===== Seeds ===== */
+// Numeric strings are used as-is so seeds can be typed and shared
+export function parseSeed(input) {
+  const text = String(input).trim();
+  if (/^-?\d+$/.test(text)) return Number(text) | 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return h | 0;
+}
+
+export const randomSeed = () => (Math.random() * 0x7fffffff) | 0;
+
+/* ===== Hashing and noise ===== */
+function hash(seed, x, y, z) {
+  let h = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(z, 0x1b873593);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+const fade = (t) => t * t * (3 - 2 * t);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Value noise in [-1, 1]
+function noise2(seed, x, z) {
+  const x0 = Math.floor(x);
+  const z0 = Math.floor(z);
+  const tx = fade(x - x0);
+  const tz = fade(z - z0);
+  const a = lerp(hash(seed, x0, 0, z0), hash(seed, x0 + 1, 0, z0), tx);
+  const b = lerp(hash(seed, x0, 0, z0 + 1), hash(seed, x0 + 1, 0, z0 + 1), tx);
+  return lerp(a, b, tz) * 2 - 1;
+}
+
+function noise3(seed, x, y, z) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const z0 = Math.floor(z);
+  const tx = fade(x - x0);
+  const ty = fade(y - y0);
+  const tz = fade(z - z0);
+  const corner = (dx, dy, dz) => hash(seed, x0 + dx, y0 + dy, z0 + dz);
+  const y0v = lerp(
+    lerp(corner(0, 0, 0), corner(1, 0, 0), tx),
+    lerp(corner(0, 0, 1), corner(1, 0, 1), tx),
+    tz
+  );
+  const y1v = lerp(
+    lerp(corner(0, 1, 0), corner(1, 1, 0), tx),
+    lerp(corner(0, 1, 1), corner(1, 1, 1), tx),
+    tz
+  );
+  return lerp(y0v, y1v, ty) * 2 - 1;
+}
+
+// Layered (fractal) noise, roughly in [-1, 1]
+function fbm2(seed, x, z, octaves) {
+  let sum = 0;
+  let amp = 1;
+  let norm = 0;
+  for (let o = 0; o < octaves; o++) {
+    sum += noise2(seed + o * 1013, x, z) * amp;
+    norm += amp;
+    x *= 2;
+    z *= 2;
+    amp *= 0.5;
+  }
+  return sum / norm;
+}
+
+/* ===== Terrain shape ===== */
+// Y index of the topmost solid block in column (x, z)
+export function terrainHeight(seed, x, z) {
+  const hills = fbm2(seed, x / 48, z / 48, 4);
+  const detail = fbm2(seed ^ 0x5bd1e995, x / 12, z / 12, 2);
+  const h = Math.round(BASE_HEIGHT + hills * HILL_AMPLITUDE + detail * DETAIL_AMPLITUDE);
+  return Math.min(MAX_HEIGHT, Math.max(MIN_HEIGHT, h));
+}
+
+// Topmost solid y of the column as generated (edits aside), flat worlds too
+export function surfaceHeight(terrain, x, z) {
+  return terrain ? terrainHeight(terrain.seed, x, z) : 2;
+}
+
+// Two crossing noise fields; their near-zero bands intersect in winding tunnels
+function isCave(seed, x, y, z) {
+  const a = noise3(seed ^ 0x68e31da4, x / CAVE_SCALE, y / (CAVE_SCALE * 0.6), z / CAVE_SCALE);
+  const b = noise3(seed ^ 0x3c6ef372, x / CAVE_SCALE, y / (CAVE_SCALE * 0.6), z / CAVE_SCALE);
+  return Math.abs(a) < CAVE_RADIUS && Math.abs(b) < CAVE_RADIUS;
+}
+
+function blockAt(y, height, beach) {
+  if (y === WORLD_BOTTOM) return "bedrock";
+  if (y === height) return beach ? "sand" : "green";
+  if (y >= height - DIRT_DEPTH) return beach ? "sand" : "dirt";
+  return "stone";
+}
+
+// One cubic chunk, solid stone below y = 0 down to the bedrock floor. options.caves carves tunnels
+// between y = 0 and the surface only, as before chunks went below y = 0, so
+// chunks saved back then still line up with the ones generated next to them.
+export function generateChunk(seed, cx, cy, cz, options = {}) {
+  const out = [];
+  const minY = Math.max(cy * TERRAIN_CHUNK_SIZE, WORLD_BOTTOM);
+  const maxY = cy * TERRAIN_CHUNK_SIZE + TERRAIN_CHUNK_SIZE - 1;
+  if (maxY < WORLD_BOTTOM) return out;
+
+  for (let x = 0; x < TERRAIN_CHUNK_SIZE; x++) {
+    for (let z = 0; z < TERRAIN_CHUNK_SIZE; z++) {
+      const wx = cx * TERRAIN_CHUNK_SIZE + x;
+      const wz = cz * TERRAIN_CHUNK_SIZE + z;
+      const height = terrainHeight(seed, wx, wz);
+      const beach = height <= SEA_LEVEL + 1;
+      for (let y = minY; y <= Math.min(height, maxY); y++) {
+        if (options.caves && y > 0 && y < height - 1 && isCave(seed, wx, y, wz)) continue;
+        out.push([wx + 0.5, y + 0.5, wz + 0.5, blockAt(y, height, beach)]);
+      }
+    }
+  }
+  return out;
+}
+
+// Flat ground three blocks deep over the bedrock floor, used by worlds created
+// before seeded terrain
+export function generateFlatChunk(cx, cy, cz) {
+  const out = [];
+  if (cy === Math.floor(WORLD_BOTTOM / TERRAIN_CHUNK_SIZE)) return bedrockLayer(cx, cz);
+  if (cy !== 0) return out;
+  for (let x = 0; x < TERRAIN_CHUNK_SIZE; x++) {
+    for (let z = 0; z < TERRAIN_CHUNK_SIZE; z++) {
+      const worldX = cx * TERRAIN_CHUNK_SIZE + x + 0.5;
+      const worldZ = cz * TERRAIN_CHUNK_SIZE + z + 0.5;
+      for (let y = 0; y < 3; y++) {
+        out.push([worldX, y + 0.5, worldZ, "green"]);
+      }
+    }
+  }
+  return out;
+}
+
+// The floor under flat worlds, so digging through them stops somewhere
+function bedrockLayer(cx, cz) {
+  const out = [];
+  for (let x = 0; x < TERRAIN_CHUNK_SIZE; x++) {
+    for (let z = 0; z < TERRAIN_CHUNK_SIZE; z++) {
+      out.push([cx * TERRAIN_CHUNK_SIZE + x + 0.5, WORLD_BOTTOM + 0.5, cz * TERRAIN_CHUNK_SIZE + z + 0.5, "bedrock"]);
+    }
+  }
+  return out;
+}
+
+// terrain: { seed, caves } from the world record, or null for flat worlds
+export function generateWorldChunk(terrain, cx, cy, cz) {
+  if (!terrain) return generateFlatChunk(cx, cy, cz);
+  return generateChunk(terrain.seed, cx, cy, cz, { caves: terrain.caves });
+}
@@ -0,0 +1,116 @@
+// Scripted multiplayer client: two players join, stream a chunk, edit blocks,
+// see each other's edits and moves, and one edit is rejected. Exits non-zero
+// on the first thing that does not happen as expected.
+//
+// Usage: node testClient.mjs [ws://localhost:8080]
+// Without a URL it starts its own server on a free port.
+import { connectWebSocket } from "./websocket.mjs";
+import { createGameServer } from "./server.mjs";
+import { decodeChunk } from "./chunkCodec.js";
+import { PROTOCOL_VERSION } from "./netProtocol.js";
+import { check } from "./testUtil.mjs";
+
+const TIMEOUT = 5000;
+
+async function join(url, name) {
+  const ws = await connectWebSocket(url);
+  const inbox = [];
+  const waiters = [];
+  ws.on("message", (text) => {
+    const msg = JSON.parse(text);
+    const i = waiters.findIndex((w) => w.match(msg));
+    if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+    else inbox.push(msg);
+  });
+  const client = {
+    ws,
+    name,
+    send: (msg) => ws.send(JSON.stringify(msg)),
+    // Resolves with the first message (already received or still to come) that matches
+    next(match, what) {
+      const i = inbox.findIndex(match);
+      if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          if (waiters.includes(waiter)) reject(new Error(`${name} never got ${what}`));
+        }, TIMEOUT).unref();
+      });
+    }
+  };
+  client.send({ type: "hello", protocol: PROTOCOL_VERSION, name });
+  client.welcome = await client.next((m) => m.type === "welcome", "a welcome");
+  return client;
+}
+
+async function run(url) {
+  const alice = await join(url, "alice");
+  const bob = await join(url, "bob");
+  check(bob.welcome.players.some((p) => p.id === alice.welcome.id), "bob is told alice is online");
+  const joined = await alice.next((m) => m.type === "join", "bob's join");
+  check(joined.id === bob.welcome.id && joined.name === "bob", "alice sees bob join");
+
+  // Chunk streaming
+  const [sx, sy, sz] = alice.welcome.spawn;
+  const size = alice.welcome.chunkSize;
+  const key = `${Math.floor(sx / size)},${Math.floor((sy - 1) / size)},${Math.floor(sz / size)}`;
+  alice.send({ type: "chunk", key });
+  const chunk = await alice.next((m) => m.type === "chunk" && m.key === key, `chunk ${key}`);
+  const { arr } = decodeChunk(Buffer.from(chunk.data, "base64"), size);
+  check(arr.length > 0, `chunk ${key} arrives with ${arr.length} blocks`);
+
+  // An accepted edit reaches everyone
+  const cell = { x: sx, y: Math.floor(sy) + 3.5, z: sz };
+  alice.send({ type: "edit", seq: 1, kind: "place", ...cell, block: "brick" });
+  const echo = await alice.next((m) => m.type === "edit" && m.seq === 1, "her own edit back");
+  check(echo.id === alice.welcome.id && echo.block === "brick", "alice's placement is accepted");
+  const relayed = await bob.next((m) => m.type === "edit" && m.id === alice.welcome.id, "alice's edit");
+  check(relayed.x === cell.x && relayed.y === cell.y && relayed.z === cell.z, "bob sees alice's placement");
+
+  // A conflicting edit is rejected with the cell's real contents
+  bob.send({ type: "edit", seq: 1, kind: "place", ...cell, block: "glass" });
+  const reject = await bob.next((m) => m.type === "reject" && m.seq === 1, "a rejection");
+  check(reject.actual === "brick", "bob's placement into the occupied cell is rejected");
+  bob.send({ type: "edit", seq: 2, kind: "place", x: 0, y: 0, z: 0, block: "glass" });
+  const malformed = await bob.next((m) => m.type === "reject" && m.seq === 2, "a rejection");
+  check(malformed.reason === "not a cell centre", "an edit off the cell grid is rejected");
+
+  bob.send({ type: "edit", seq: 3, kind: "destroy", ...cell });
+  const removed = await alice.next((m) => m.type === "edit" && m.kind === "destroy", "bob's removal");
+  check(removed.id === bob.welcome.id, "alice sees bob's removal");
+
+  // The removal is in the chunk the server hands out now
+  alice.send({ type: "chunk", key });
+  const after = await alice.next((m) => m.type === "chunk" && m.key === key, `chunk ${key} again`);
+  const cells = decodeChunk(Buffer.from(after.data, "base64"), size).arr;
+  check(cells.length === arr.length, "the server's chunk matches the original after place and remove");
+
+  // Positions are relayed
+  alice.send({ type: "move", position: [sx + 2, sy, sz] });
+  const moved = await bob.next((m) => m.type === "move" && m.id === alice.welcome.id, "alice's move");
+  check(moved.position[0] === sx + 2, "bob sees alice move");
+
+  alice.ws.close();
+  const left = await bob.next((m) => m.type === "leave", "alice leaving");
+  check(left.id === alice.welcome.id, "bob sees alice leave");
+  bob.ws.close();
+}
+
+const url = process.argv[2];
+let server = null;
+if (!url) {
+  server = createGameServer({ terrain: { seed: 12345, caves: false } });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+}
+
+try {
+  await run(url ?? `ws://127.0.0.1:${server.address().port}`);
+  console.log("All multiplayer checks passed");
+} catch (err) {
+  console.error(`not ok - ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  server?.close();
+  server?.closeAllConnections?.();
+}
@@ -0,0 +1,85 @@
+// Round-trips chunks and whole world files through chunkCodec.js and checks
+// nothing changes on the way.
+//
+// Usage: node testCodec.mjs
+import {
+  CHUNK_FORMAT_VERSION,
+  WORLD_FORMAT_VERSION,
+  encodeChunk,
+  decodeChunk,
+  encodeWorld,
+  decodeWorld
+} from "./chunkCodec.js";
+import { check, thrown } from "./testUtil.mjs";
+
+const SIZE = 16;
+
+// Decoding yields cells in index order, so compare as sorted text
+const canonical = (arr) => arr.map((c) => c.join(",")).sort().join(";");
+const sameCells = (a, b) => a.length === b.length && canonical(a) === canonical(b);
+
+function roundTrip(key, arr) {
+  const decoded = decodeChunk(encodeChunk(key, arr, SIZE), SIZE);
+  return decoded.key === key && sameCells(decoded.arr, arr);
+}
+
+// Flat ground three blocks deep, as the game first generated it
+function ground(cx, cz) {
+  const out = [];
+  for (let x = 0; x < SIZE; x++) {
+    for (let z = 0; z < SIZE; z++) {
+      for (let y = 0; y < 3; y++) out.push([cx * SIZE + x + 0.5, y + 0.5, cz * SIZE + z + 0.5, "green"]);
+    }
+  }
+  return out;
+}
+
+// Plain ground, and ground with a shaft dug and blocks put back in it
+const generated = ground(0, 0);
+const edited = ground(-1, 2)
+  .filter(([x, , z]) => !(x > -8 && x < -4 && z > 36 && z < 40))
+  .concat([
+    [-6.5, 2.5, 37.5, "brick"],
+    [-5.5, 2.5, 37.5, "glass"]
+  ]);
+// Every cell of a chunk, cycling through types so runs break at each cell
+const types = ["stone", "dirt", "green", "sand", "brick", "glass", "cobble"];
+const mixed = [];
+for (let i = 0; i < SIZE ** 3; i++) {
+  const [lx, ly, lz] = [i % SIZE, Math.floor(i / SIZE) % SIZE, Math.floor(i / SIZE ** 2)];
+  mixed.push([SIZE * 3 + lx + 0.5, -SIZE + ly + 0.5, lz + 0.5, types[(i * 7 + (i >> 5)) % types.length]]);
+}
+
+check(generated.length > 0 && roundTrip("0,0,0", generated), "a generated chunk round-trips");
+check(roundTrip("-1,0,2", edited), "an edited chunk at negative coordinates round-trips");
+check(roundTrip("5,-3,7", []), "an empty chunk round-trips");
+check(roundTrip("3,-1,0", mixed), "a full chunk of mixed types round-trips");
+
+const bytes = encodeChunk("0,0,0", generated, SIZE);
+check(bytes[0] === CHUNK_FORMAT_VERSION && bytes[1] === SIZE, "a chunk starts with its version and size");
+let error = thrown(() => decodeChunk(Uint8Array.of(CHUNK_FORMAT_VERSION + 1, ...bytes.subarray(1)), SIZE));
+check(error?.message === `Unsupported chunk version ${CHUNK_FORMAT_VERSION + 1}`, "an unknown chunk version is refused");
+
+// A whole world file
+const meta = { name: "test", created: 1700000000000, seed: 12345 };
+const chunks = new Map([
+  ["0,0,0", generated],
+  ["-1,0,2", edited],
+  ["5,-3,7", []],
+  ["3,-1,0", mixed]
+]);
+const file = encodeWorld(meta, chunks, SIZE);
+const world = decodeWorld(file, SIZE);
+check(new TextDecoder().decode(file.subarray(0, 4)) === "VXWF", "a world file starts with its magic");
+check(new DataView(file.buffer).getUint16(4, true) === WORLD_FORMAT_VERSION, "a world file carries its version");
+check(JSON.stringify(world.meta) === JSON.stringify(meta), "the world's metadata survives");
+check(
+  world.chunks.size === chunks.size && [...chunks].every(([key, arr]) => sameCells(world.chunks.get(key), arr)),
+  `all ${chunks.size} chunks of the world survive export and import`
+);
+
+const future = file.slice();
+new DataView(future.buffer).setUint16(4, WORLD_FORMAT_VERSION + 1, true);
+error = thrown(() => decodeWorld(future, SIZE));
+check(error?.message === `Unsupported world version ${WORLD_FORMAT_VERSION + 1}`, "an unknown world version is refused");
+console.log("All codec checks passed");
@@ -0,0 +1,67 @@
+// Finds paths with pathfinding.js through hand-built corridors, no three.js.
+//
+// Usage: node testPathfinding.mjs
+import { findPath } from "./pathfinding.js";
+import { check } from "./testUtil.mjs";
+
+const same = (path, expected) => JSON.stringify(path) === JSON.stringify(expected);
+
+// Solid cells from [x0, x1, y] runs along a corridor at z = 0: nothing else
+// exists, so every path has to stay in it
+function corridor(...runs) {
+  const solid = new Set();
+  for (const [x0, x1, y] of runs) for (let x = x0; x <= x1; x++) solid.add(`${x},${y},0`);
+  return (x, y, z) => solid.has(`${x},${y},${z}`);
+}
+
+// Walking on the level
+{
+  const path = findPath(corridor([0, 5, -1]), [0, 0, 0], [5, 0, 0]);
+  check(same(path, [[1, 0, 0], [2, 0, 0], [3, 0, 0], [4, 0, 0], [5, 0, 0]]), "a level walk goes cell by cell");
+  check(same(findPath(corridor([0, 5, -1]), [2, 0, 0], [2, 0, 0]), []), "a walker already at the goal gets an empty path");
+}
+
+// Up one block, but not two
+{
+  const step = corridor([0, 2, -1], [3, 5, 0]);
+  const path = findPath(step, [0, 0, 0], [5, 1, 0]);
+  check(path && same(path.slice(2, 4), [[3, 1, 0], [4, 1, 0]]) && path.length === 5, "a one-block climb is taken");
+
+  const wall = corridor([0, 2, -1], [3, 5, 0], [3, 5, 1]);
+  check(findPath(wall, [0, 0, 0], [5, 2, 0]) === null, "a two-block climb is not");
+}
+
+// Over a one-block gap, but not a wider one
+{
+  const gap = corridor([0, 2, -1], [4, 6, -1]);
+  const path = findPath(gap, [0, 0, 0], [6, 0, 0]);
+  check(path && path.some((c) => same(c, [4, 0, 0])) && !path.some((c) => c[0] === 3), "a one-block gap is jumped");
+
+  const lower = findPath(corridor([0, 2, -1], [4, 6, -2]), [0, 0, 0], [6, -1, 0]);
+  check(lower && same(lower[2], [4, -1, 0]), "a gap jump may land one lower");
+
+  check(findPath(corridor([0, 2, -1], [5, 7, -1]), [0, 0, 0], [7, 0, 0]) === null, "a two-block gap is not jumped");
+}
+
+// Dropping down, as far as maxDrop
+{
+  const ledge = corridor([0, 2, -1], [3, 5, -4]);
+  const path = findPath(ledge, [0, 0, 0], [5, -3, 0]);
+  check(path && same(path[2], [3, -3, 0]), "a three-block drop is taken with maxDrop 3");
+
+  const cliff = corridor([0, 2, -1], [3, 5, -5]);
+  check(findPath(cliff, [0, 0, 0], [5, -4, 0]) === null, "a four-block drop is not");
+  check(findPath(cliff, [0, 0, 0], [5, -4, 0], { maxDrop: 4 }) !== null, "unless maxDrop allows it");
+}
+
+// Goals out of reach
+{
+  const island = corridor([0, 2, -1], [10, 12, -1]);
+  check(findPath(island, [0, 0, 0], [11, 0, 0]) === null, "an unreachable goal gives null");
+  const partial = findPath(island, [0, 0, 0], [11, 0, 0], { partial: true });
+  check(same(partial, [[1, 0, 0], [2, 0, 0]]), "a partial path ends at the reachable cell nearest the goal");
+
+  const near = findPath(corridor([0, 9, -1]), [0, 0, 0], [9, 0, 0], { near: 2 });
+  check(near && same(near[near.length - 1], [7, 0, 0]), "near stops the given number of cells short");
+}
+console.log("All pathfinding checks passed");
@@ -0,0 +1,98 @@
+// Drives the swept box solver in physics.js with scripted velocities over
+// hand-built grids, no renderer.
+//
+// Usage: node testPhysics.mjs
+import { createBody, stepBody } from "./physics.js";
+import { check, near } from "./testUtil.mjs";
+
+const DT = 1 / 60;
+const GRAVITY = 20;
+const SPRINT_SPEED = 13.5; // where the game's sprint acceleration and drag settle
+const FLOOR = 20; // the floor covers -FLOOR..FLOOR on x and z, at y = -1
+
+// A floor plus the given integer cells
+function grid(cells = []) {
+  const solid = new Set(cells.map((c) => c.join(",")));
+  return (x, y, z) =>
+    (y === -1 && Math.abs(x) <= FLOOR && Math.abs(z) <= FLOOR) || solid.has(`${x},${y},${z}`);
+}
+
+// Wall cells filling x = wx for z0..z1, `height` blocks tall
+function wall(wx, z0, z1, height) {
+  const cells = [];
+  for (let z = z0; z <= z1; z++) for (let y = 0; y < height; y++) cells.push([wx, y, z]);
+  return cells;
+}
+
+function standing(x, z) {
+  return createBody({ position: { x, y: 0, z }, onGround: true });
+}
+
+// Ticks of a steady horizontal velocity under gravity
+function run(body, ticks, isSolid, velocity) {
+  for (let i = 0; i < ticks; i++) {
+    Object.assign(body.velocity, velocity);
+    body.velocity.y -= GRAVITY * DT;
+    stepBody(body, DT, isSolid);
+  }
+}
+
+// Sprinting into a one block thick wall, and hitting it far faster than anyone runs
+{
+  const isSolid = grid(wall(5, -FLOOR, FLOOR, 3));
+  const body = standing(0.5, 0.5);
+  let furthest = 0;
+  for (let i = 0; i < 120; i++) {
+    run(body, 1, isSolid, { x: SPRINT_SPEED, z: 0 });
+    furthest = Math.max(furthest, body.position.x);
+  }
+  check(near(body.position.x, 4.7) && furthest <= 4.7 + 1e-9, "a sprinting body stops flush against a 1-block wall");
+
+  const fast = standing(0.5, 0.5);
+  run(fast, 1, isSolid, { x: 2000, z: 0 });
+  check(near(fast.position.x, 4.7), "a body moving 2000 u/s does not tunnel through a 1-block wall");
+}
+
+// Falling at 500 u/s onto the floor
+{
+  const body = createBody({ position: { x: 0.5, y: 100, z: 0.5 } });
+  let lowest = Infinity;
+  for (let i = 0; i < 30 && !body.onGround; i++) {
+    body.velocity.y = -500;
+    stepBody(body, DT, grid());
+    lowest = Math.min(lowest, body.position.y);
+  }
+  check(body.onGround && near(body.position.y, 0) && lowest >= -1e-9, "a 500 u/s fall lands on the floor, not through it");
+  check(body.velocity.y === 0, "landing stops the fall");
+}
+
+// Walking into a single block steps up onto it; a two block ledge stops the body
+{
+  const body = standing(0.5, 0.5);
+  run(body, 45, grid([[3, 0, 0]]), { x: 4, z: 0 }); // stops over the block
+  check(body.position.x > 3.5 && near(body.position.y, 1), "a grounded body steps up onto a single block");
+
+  const ledge = standing(0.5, 0.5);
+  run(ledge, 60, grid([[3, 0, 0], [3, 1, 0]]), { x: 4, z: 0 });
+  check(near(ledge.position.x, 2.7) && near(ledge.position.y, 0), "a 2-block ledge is not stepped onto");
+
+  const airborne = createBody({ position: { x: 0.65, y: 0.5, z: 0.5 }, velocity: { x: 4, y: 0, z: 0 } });
+  stepBody(airborne, DT, grid([[1, 0, 0]]));
+  check(near(airborne.position.x, 0.7) && near(airborne.position.y, 0.5), "a body in the air does not step up");
+}
+
+// Moving diagonally along a wall, and into an inside corner
+{
+  const body = standing(0.5, 0.5);
+  run(body, 60, grid(wall(3, -FLOOR, FLOOR, 3)), { x: 4, z: 4 }); // reaches the wall halfway
+  check(near(body.position.x, 2.7) && near(body.position.z, 0.5 + 4 * 60 * DT), "a body slides along a wall at full speed");
+
+  const cornered = standing(0.5, 0.5);
+  const corner = wall(3, -FLOOR, 3, 3).concat(wall(3, -FLOOR, 3, 3).map(([x, y, z]) => [z, y, x]));
+  run(cornered, 60, grid(corner), { x: 4, z: 4 });
+  check(
+    near(cornered.position.x, 2.7) && near(cornered.position.z, 2.7) && near(cornered.position.y, 0),
+    "a body comes to rest flush in an inside corner"
+  );
+}
+console.log("All physics checks passed");
@@ -0,0 +1,65 @@
+// Casts rays from voxelRaycast.js at hand-placed cells, no three.js.
+//
+// Usage: node testRaycast.mjs
+import { raycastVoxels } from "./voxelRaycast.js";
+import { check, near } from "./testUtil.mjs";
+
+const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+function cells(...list) {
+  const solid = new Set(list.map((c) => c.join(",")));
+  return (x, y, z) => solid.has(`${x},${y},${z}`);
+}
+
+// Straight along +x into the face of a block
+{
+  const hit = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 10, cells([4, 0, 0]));
+  check(hit && same(hit.cell, [4, 0, 0]), "an axis-aligned ray hits the block in its way");
+  check(same(hit.normal, [-1, 0, 0]) && near(hit.distance, 3.5), "it enters through the -x face 3.5 away");
+
+  const down = raycastVoxels({ x: 0.5, y: 5.25, z: 0.5 }, { x: 0, y: -2, z: 0 }, 10, cells([0, 1, 0]));
+  check(same(down.cell, [0, 1, 0]) && same(down.normal, [0, 1, 0]) && near(down.distance, 3.25), "looking straight down hits the top face");
+}
+
+// Diagonals, which cross cell edges and pass between blocks
+{
+  // From the middle of a cell at 45° the ray meets the corner where (1, 0)
+  // and (0, 1) touch; slipping between them would see through a wall
+  const side = cells([1, 0, 0], [0, 1, 0]);
+  const through = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 1, y: 1, z: 0 }, 10, side);
+  check(through && near(through.distance, Math.SQRT1_2), "a ray through the edge between two blocks stops at one of them");
+
+  const hit = raycastVoxels({ x: 0.2, y: 0.5, z: 0.5 }, { x: 1, y: 0.5, z: 0 }, 20, cells([3, 1, 0]));
+  // Crosses x = 1, y = 1 (at x = 1.2), x = 2, then enters (3, 1) through x = 3
+  check(hit && same(hit.cell, [3, 1, 0]) && same(hit.normal, [-1, 0, 0]), "a shallow diagonal enters the right cell through its side");
+  check(near(hit.distance, 2.8 * Math.hypot(1, 0.5)), "its distance is measured along the ray");
+
+  const steep = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 0.25, y: 1, z: 0.25 }, 20, cells([1, 3, 1]));
+  check(steep && same(steep.normal, [0, -1, 0]), "a steep ray enters a block from below");
+}
+
+// Negative directions
+{
+  const hit = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 0, y: 0, z: -1 }, 10, cells([0, 0, -3]));
+  check(hit && same(hit.normal, [0, 0, 1]) && near(hit.distance, 2.5), "a ray along -z hits the +z face");
+
+  const diag = raycastVoxels({ x: -0.5, y: 2.5, z: 0.5 }, { x: -1, y: -1, z: 0 }, 10, cells([-3, 0, 0]));
+  check(diag && same(diag.cell, [-3, 0, 0]), "a ray down and to -x finds the block at negative coordinates");
+}
+
+// Starting inside a block
+{
+  const hit = raycastVoxels({ x: 2.3, y: 0.7, z: 0.1 }, { x: 1, y: 0, z: 0 }, 10, cells([2, 0, 0]));
+  check(hit && same(hit.cell, [2, 0, 0]), "a ray starting inside a block hits that block");
+  check(same(hit.normal, [0, 0, 0]) && hit.distance === 0, "with no face and no distance");
+}
+
+// Range and degenerate rays
+{
+  const world = cells([6, 0, 0]);
+  check(raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 5, world) === null, "a block past maxDistance is missed");
+  check(raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 5.5, world) !== null, "and found once it is in reach");
+  check(raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 0, y: 0, z: 0 }, 10, () => true) === null, "a zero-length direction hits nothing");
+  check(raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 0, y: 1, z: 0 }, 100, () => false) === null, "an empty world ends the walk");
+}
+console.log("All raycast checks passed");
@@ -0,0 +1,67 @@
+// Replays a recording made while walking into a chunk that had not loaded yet,
+// with replay.js alone, no three.js.
+//
+// Usage: node testReplay.mjs
+import { REPLAY_FORMAT, REPLAY_VERSION, verifyReplay, runReplay } from "./replay.js";
+import { createVoxelStore } from "./voxelStore.js";
+import { createBody } from "./physics.js";
+import { stepPlayer, encodeInput } from "./player.js";
+import { isSolidBlock } from "./blocks.js";
+import { check } from "./testUtil.mjs";
+
+const SIZE = 16;
+const TICK_RATE = 60;
+const TICKS = 90;
+const LOADS_AT = 40; // tick at which the next chunk east arrives
+const chunkKeyOf = (x, y, z) => `${Math.floor(x / SIZE)},${Math.floor(y / SIZE)},${Math.floor(z / SIZE)}`;
+
+// Records a walk east across the chunk edge at x = 16 on the flat world, the
+// way the game does: the chunk past the edge counts as solid until it loads
+function record() {
+  const world = createVoxelStore(null, new Map(), SIZE);
+  const body = createBody({ position: { x: 14.5, y: 3, z: 8.5 }, onGround: true });
+  const start = { position: [14.5, 3, 8.5], velocity: [0, 0, 0], onGround: true };
+  const ticks = [];
+  const unloaded = {};
+  for (let t = 0; t < TICKS; t++) {
+    const input = { right: true, yaw: 0, pitch: 0, actions: [] };
+    ticks.push(encodeInput(input));
+    const isSolid = (x, y, z) => {
+      const key = chunkKeyOf(x, y, z);
+      if (key === "1,0,0" && t < LOADS_AT) {
+        unloaded[t] = [key];
+        return true;
+      }
+      return isSolidBlock(world.getCellType(x, y, z) ?? undefined);
+    };
+    stepPlayer(body, input, 1 / TICK_RATE, isSolid);
+  }
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    tickRate: TICK_RATE,
+    chunkSize: SIZE,
+    terrain: null,
+    start,
+    base: {},
+    ticks,
+    unloaded,
+    end: { position: [body.position.x, body.position.y, body.position.z], actions: [], chunks: {} }
+  };
+}
+
+const rec = record();
+check(Object.keys(rec.unloaded).length > 0, "the recorded walk ran into the chunk that had not loaded");
+
+{
+  const { body } = runReplay(rec, LOADS_AT);
+  check(body.position.x <= 16 - body.halfWidth, "the replay waits at the edge while the chunk was loading");
+  const result = verifyReplay(rec);
+  check(result.ok, `the replay ends where the recording did (${result.position} vs ${rec.end.position})`);
+  check(result.position[0] > 16, "the replay crosses once the chunk has loaded");
+}
+
+{
+  const result = verifyReplay({ ...rec, unloaded: undefined });
+  check(!result.positionMatches, "without the unloaded chunks the replay walks straight through");
+}
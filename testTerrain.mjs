@@ -0,0 +1,103 @@
+// Generates seeded chunks with terrain.js and checks they are reproducible and
+// meet their neighbours, no three.js.
+//
+// Usage: node testTerrain.mjs
+import {
+  generateChunk,
+  generateFlatChunk,
+  terrainHeight,
+  TERRAIN_CHUNK_SIZE as SIZE,
+  WORLD_BOTTOM
+} from "./terrain.js";
+import { createVoxelStore } from "./voxelStore.js";
+import { check } from "./testUtil.mjs";
+
+const SEED = 12345;
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Topmost generated y of each column of a chunk stack, "x,z" -> y
+function columnTops(cells) {
+  const tops = new Map();
+  for (const [x, y, z] of cells) {
+    const ck = `${Math.floor(x)},${Math.floor(z)}`;
+    tops.set(ck, Math.max(tops.get(ck) ?? -Infinity, Math.floor(y)));
+  }
+  return tops;
+}
+
+// Same seed and chunk, same blocks; another seed, other blocks
+{
+  for (const [cx, cy, cz] of [[0, 0, 0], [-3, 0, 5], [2, -1, -2]]) {
+    const a = generateChunk(SEED, cx, cy, cz, { caves: true });
+    const b = generateChunk(SEED, cx, cy, cz, { caves: true });
+    check(a.length > 0 && same(a, b), `chunk ${cx},${cy},${cz} generates the same twice`);
+  }
+  const other = generateChunk(SEED + 1, 0, 0, 0, { caves: true });
+  check(!same(generateChunk(SEED, 0, 0, 0, { caves: true }), other), "a different seed generates a different chunk");
+  check(generateChunk(SEED, 0, 4, 0).length === 0, "chunks above the terrain are empty");
+}
+
+// Neighbouring chunks meet: every column tops out at terrainHeight whichever
+// chunk it is in, and the step across a chunk edge is no bigger than the
+// steps inside a chunk
+{
+  const tops = new Map();
+  for (let cx = -2; cx < 2; cx++) {
+    for (let cz = -2; cz < 2; cz++) {
+      for (const [ck, y] of columnTops(generateChunk(SEED, cx, 0, cz))) tops.set(ck, y);
+    }
+  }
+  check(tops.size === 64 * 64, "every column of the 4x4 chunks has ground");
+  check(
+    [...tops].every(([ck, y]) => y === terrainHeight(SEED, ...ck.split(",").map(Number))),
+    "each column tops out at terrainHeight"
+  );
+
+  let inside = 0;
+  let across = 0;
+  for (const [ck, y] of tops) {
+    const [x, z] = ck.split(",").map(Number);
+    for (const [nx, nz] of [[x + 1, z], [x, z + 1]]) {
+      const ny = tops.get(`${nx},${nz}`);
+      if (ny === undefined) continue;
+      const step = Math.abs(ny - y);
+      const seam = Math.floor(nx / SIZE) !== Math.floor(x / SIZE) || Math.floor(nz / SIZE) !== Math.floor(z / SIZE);
+      if (seam) across = Math.max(across, step);
+      else inside = Math.max(inside, step);
+    }
+  }
+  check(across <= inside, `steps across chunk edges (${across}) are no bigger than inside chunks (${inside})`);
+}
+
+// Stacked chunks leave no gap between WORLD_BOTTOM and the surface
+{
+  const cells = [];
+  for (let cy = Math.floor(WORLD_BOTTOM / SIZE) - 1; cy <= 0; cy++) cells.push(...generateChunk(SEED, 1, cy, -1));
+  const filled = new Set(cells.map(([x, y, z]) => `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`));
+  let gaps = 0;
+  for (let x = SIZE; x < 2 * SIZE; x++) {
+    for (let z = -SIZE; z < 0; z++) {
+      for (let y = WORLD_BOTTOM; y <= terrainHeight(SEED, x, z); y++) if (!filled.has(`${x},${y},${z}`)) gaps++;
+    }
+  }
+  check(gaps === 0, "chunks stacked from the world bottom up are solid to the surface");
+  check(cells.every(([, y]) => y > WORLD_BOTTOM), "nothing generates below the world bottom");
+  check(
+    cells.every(([, y, , type]) => (Math.floor(y) === WORLD_BOTTOM) === (type === "bedrock")),
+    "the bottom layer, and only it, is bedrock"
+  );
+}
+
+// Flat worlds get the same floor, and nothing digs through it
+{
+  const bottom = generateFlatChunk(0, Math.floor(WORLD_BOTTOM / SIZE), 0);
+  check(
+    bottom.length === SIZE * SIZE && bottom.every(([, y, , type]) => Math.floor(y) === WORLD_BOTTOM && type === "bedrock"),
+    "flat worlds have a bedrock floor at the world bottom"
+  );
+  const world = createVoxelStore({ seed: SEED, caves: true }, new Map(), SIZE);
+  const floor = { x: 3.5, y: WORLD_BOTTOM + 0.5, z: 3.5 };
+  check(!world.applyAction({ kind: "destroy", ...floor }), "bedrock cannot be removed");
+  check(world.getCellType(3, WORLD_BOTTOM, 3) === "bedrock", "the bedrock is still there");
+  check(world.applyAction({ kind: "destroy", ...floor, y: floor.y + 1 }), "the stone above it can be");
+}
@@ -0,0 +1,19 @@
+// Helpers for the test*.mjs scripts. Each script runs with plain `node`,
+// prints one line per check and exits non-zero at the first one that fails.
+
+export function check(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`ok - ${message}`);
+}
+
+export const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// The error fn throws, or null if it returns
+export function thrown(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
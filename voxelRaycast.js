@@ -0,0 +1,44 @@
+/* ===================== Voxel Raycast ===================== */
+// Walks a ray through the block grid one cell at a time (Amanatides & Woo),
+// no three.js. The world is only seen through stops(x, y, z) on integer cell
+// coordinates, like physics.js, so a hit costs a handful of map lookups
+// instead of triangle tests against every block mesh nearby.
+//
+// hit: {
+//   cell      [x, y, z] of the first cell where stops() is true
+//   normal    [x, y, z] of the face the ray came in through, all 0 when the
+//             ray starts inside that cell
+//   distance  along the ray to where it entered the cell
+// }
+
+// origin, direction: { x, y, z } (direction need not be normalised)
+// Returns the hit, or null when nothing stops the ray within maxDistance
+export function raycastVoxels(origin, direction, maxDistance, stops) {
+  const length = Math.hypot(direction.x, direction.y, direction.z);
+  if (length === 0) return null;
+  const o = [origin.x, origin.y, origin.z];
+  const d = [direction.x / length, direction.y / length, direction.z / length];
+
+  const cell = o.map(Math.floor);
+  const step = d.map(Math.sign);
+  // Distance along the ray to cross one whole cell, and to the next boundary
+  const tDelta = d.map((v) => (v === 0 ? Infinity : Math.abs(1 / v)));
+  const tMax = d.map((v, i) => {
+    if (v > 0) return (cell[i] + 1 - o[i]) / v;
+    if (v < 0) return (o[i] - cell[i]) / -v;
+    return Infinity;
+  });
+  const normal = [0, 0, 0];
+  let distance = 0;
+
+  for (;;) {
+    if (stops(cell[0], cell[1], cell[2])) return { cell, normal, distance };
+    const axis = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : tMax[1] < tMax[2] ? 1 : 2;
+    distance = tMax[axis];
+    if (distance > maxDistance) return null;
+    cell[axis] += step[axis];
+    tMax[axis] += tDelta[axis];
+    normal[0] = normal[1] = normal[2] = 0;
+    normal[axis] = -step[axis];
+  }
+}
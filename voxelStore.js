@@ -0,0 +1,59 @@
+/* ===================== Voxel Store ===================== */
+// Block data without any rendering, for headless replays and the multiplayer
+// server. Chunks are generated on first touch, exactly as the game's chunkData
+// fills in, and edits follow the game's rules: placing into an occupied cell
+// or removing air or bedrock does nothing.
+import { generateWorldChunk } from "./terrain.js";
+import { isUnbreakable } from "./blocks.js";
+
+// base: Map<key, Array<[x, y, z, type]>> of chunks that differ from generation
+export function createVoxelStore(terrain, base, chunkSize) {
+  const chunks = new Map(); // key -> Map<cellKey, type>
+  const edited = new Set(base.keys()); // chunks that differ from generation
+  const chunkKeyOf = (x, y, z) =>
+    `${Math.floor(x / chunkSize)},${Math.floor(y / chunkSize)},${Math.floor(z / chunkSize)}`;
+
+  function cellsOf(key) {
+    let cells = chunks.get(key);
+    if (!cells) {
+      const [cx, cy, cz] = key.split(",").map(Number);
+      const arr = base.get(key) ?? generateWorldChunk(terrain, cx, cy, cz);
+      cells = new Map(arr.map(([x, y, z, type]) => [`${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`, type]));
+      chunks.set(key, cells);
+    }
+    return cells;
+  }
+
+  // Integer cell coordinates; null for air
+  const getCellType = (x, y, z) => cellsOf(chunkKeyOf(x, y, z)).get(`${x},${y},${z}`) ?? null;
+
+  // action: { kind: "place" | "destroy", x, y, z, type } at cell centres.
+  // Returns whether anything changed.
+  function applyAction(action) {
+    const { x, y, z } = action;
+    const key = chunkKeyOf(x, y, z);
+    const cells = cellsOf(key);
+    const ck = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
+    let changed = false;
+    if (action.kind === "place" && !cells.has(ck)) {
+      cells.set(ck, action.type);
+      changed = true;
+    } else if (action.kind === "destroy" && !isUnbreakable(cells.get(ck))) {
+      changed = cells.delete(ck);
+    }
+    if (changed) edited.add(key);
+    return changed;
+  }
+
+  // Cell-centre block array, as the game keeps it in chunkData
+  function getChunkData(key) {
+    const arr = [];
+    for (const [ck, type] of cellsOf(key)) {
+      const [x, y, z] = ck.split(",").map(Number);
+      arr.push([x + 0.5, y + 0.5, z + 0.5, type]);
+    }
+    return arr;
+  }
+
+  return { getCellType, applyAction, getChunkData, editedKeys: () => edited };
+}
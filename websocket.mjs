@@ -0,0 +1,250 @@
+/* ===================== WebSocket (Node) ===================== */
+// Just enough RFC 6455 for the multiplayer server and its test client, with
+// no dependencies: the upgrade handshake on both sides, masked/unmasked
+// frames, fragmented messages, ping/pong and the closing handshake.
+// No extensions (permessage-deflate) and no TLS; this is for localhost.
+import { createHash, randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import http from "node:http";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+const CLOSE_TIMEOUT = 2000; // ms to wait for the peer's close frame
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+const acceptKey = (key) => createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+
+function applyMask(payload, mask) {
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+}
+
+// Events: "message" (string for text, Buffer for binary), "close" (code), "error"
+export class WebSocketConnection extends EventEmitter {
+  // isClient: clients mask what they send, servers insist on masked input
+  constructor(socket, isClient) {
+    super();
+    this.socket = socket;
+    this.isClient = isClient;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // { opcode, parts, size } while a message is split
+    this.closeSent = false;
+    this.closed = false;
+    this.closeCode = 1006;
+
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("error", (err) => this.emit("error", err));
+    socket.on("close", () => {
+      this.closed = true;
+      clearTimeout(this.closeTimer);
+      this.emit("close", this.closeCode);
+    });
+  }
+
+  get isOpen() {
+    return !this.closed && !this.closeSent;
+  }
+
+  send(data) {
+    if (typeof data === "string") this.sendFrame(OP_TEXT, Buffer.from(data));
+    else this.sendFrame(OP_BINARY, Buffer.from(data));
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.closeSent || this.closed) return;
+    const reasonBytes = Buffer.from(reason).subarray(0, 123);
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    this.sendFrame(OP_CLOSE, payload);
+    this.closeSent = true;
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    this.closeTimer.unref();
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.closeSent || this.closed) return;
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (this.isClient ? 4 : 0));
+    header[0] = 0x80 | opcode;
+    if (lengthBytes === 0) header[1] = length;
+    else if (lengthBytes === 2) {
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    if (this.isClient) {
+      const mask = randomBytes(4);
+      header[1] |= 0x80;
+      mask.copy(header, 2 + lengthBytes);
+      payload = Buffer.from(payload);
+      applyMask(payload, mask);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  // Protocol violation: say why and hang up
+  fail(code, reason) {
+    this.closeCode = code;
+    this.close(code, reason);
+    this.socket.end();
+  }
+
+  receive(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    while (!this.closed) {
+      const frame = this.readFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  // Next complete frame from the buffer, or null until more data arrives
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      length = big > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(big);
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+      this.fail(1009, "Message too big");
+      return null;
+    }
+    if (masked === this.isClient) {
+      this.fail(1002, masked ? "Server frames must not be masked" : "Client frames must be masked");
+      return null;
+    }
+
+    let mask = null;
+    if (masked) {
+      if (buf.length < offset + 4) return null;
+      mask = buf.subarray(offset, offset + 4);
+      offset += 4;
+    }
+    if (buf.length < offset + length) return null;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + length));
+    if (mask) applyMask(payload, mask);
+    this.buffer = buf.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OP_CLOSE:
+        this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        if (!this.closeSent) this.close(this.closeCode === 1005 ? 1000 : this.closeCode);
+        this.socket.end();
+        return;
+      case OP_PING:
+        this.sendFrame(OP_PONG, payload);
+        return;
+      case OP_PONG:
+        return;
+      case OP_TEXT:
+      case OP_BINARY:
+        if (this.fragments) return this.fail(1002, "Expected a continuation frame");
+        this.fragments = { opcode, parts: [], size: 0 };
+        break;
+      case OP_CONTINUATION:
+        if (!this.fragments) return this.fail(1002, "Unexpected continuation frame");
+        break;
+      default:
+        return this.fail(1002, `Unknown opcode ${opcode}`);
+    }
+
+    const message = this.fragments;
+    message.parts.push(payload);
+    message.size += payload.length;
+    if (message.size > MAX_MESSAGE_SIZE) return this.fail(1009, "Message too big");
+    if (!fin) return;
+
+    this.fragments = null;
+    const data = Buffer.concat(message.parts);
+    this.emit("message", message.opcode === OP_TEXT ? data.toString("utf8") : data);
+  }
+}
+
+// Completes an HTTP upgrade request from a server's "upgrade" event.
+// Returns the connection, or null after answering 400 to a bad request.
+export function acceptWebSocket(req, socket, head) {
+  const key = req.headers["sec-websocket-key"];
+  if ((req.headers.upgrade ?? "").toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      "",
+      ""
+    ].join("\r\n")
+  );
+  const ws = new WebSocketConnection(socket, false);
+  if (head && head.length) ws.receive(head);
+  return ws;
+}
+
+// Opens a client connection to a ws:// URL
+export function connectWebSocket(url) {
+  return new Promise((resolve, reject) => {
+    const { hostname, port, pathname, search, protocol } = new URL(url);
+    if (protocol !== "ws:") {
+      reject(new Error(`Only ws:// URLs are supported, not ${protocol}`));
+      return;
+    }
+    const key = randomBytes(16).toString("base64");
+    const req = http.request({
+      host: hostname,
+      port: port || 80,
+      path: pathname + search,
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": key,
+        "Sec-WebSocket-Version": "13"
+      }
+    });
+    req.on("upgrade", (res, socket, head) => {
+      if (res.headers["sec-websocket-accept"] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error("Server sent a bad handshake"));
+        return;
+      }
+      const ws = new WebSocketConnection(socket, true);
+      if (head.length) ws.receive(head);
+      resolve(ws);
+    });
+    req.on("response", (res) => {
+      res.resume();
+      reject(new Error(`Server answered ${res.statusCode} instead of upgrading`));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}